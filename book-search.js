@@ -0,0 +1,748 @@
+/**
+ * Standalone search form shared by Book Connect and other pages.
+ * Importing this module registers `<book-search>`; it needs no catalogue data.
+ */
+
+// Search filters with nothing selected; also omitted from the URL
+export const DEFAULT_FILTERS = {
+  title: '',
+  scope: 'title',
+  genres: [],
+  genreMode: 'any',
+  author: 'any',
+  publishedFrom: null,
+  publishedTo: null,
+  pagesMin: null,
+  pagesMax: null,
+  minRating: null
+};
+
+// Sort options offered in the search form and above the list, keyed by BookConnect.sorters name
+export const SORT_OPTIONS = {
+  relevance: 'Best match',
+  popularity: 'Most popular',
+  newest: 'Newest',
+  oldest: 'Oldest',
+  shortest: 'Fewest pages',
+  longest: 'Most pages',
+  title: 'Title A–Z',
+  author: 'Author A–Z',
+  rating: 'My rating'
+};
+
+// Milliseconds to wait after the last edit of the search form before reporting it
+export const SEARCH_CHANGE_DELAY = 150;
+
+/**
+ * Book Search Web Component
+ * A custom element wrapping the search form. Set the `genres` and `authors`
+ * maps as properties to fill the dropdowns; submitting dispatches a
+ * `search-submit` event with the chosen filters and sort.
+ */
+export class BookSearch extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open', delegatesFocus: true });
+    this._genres = {};
+    this._authors = {};
+    this._facets = null;
+    this._changeTimer = null;
+    this._suggestions = [];
+    this._activeSuggestion = -1;
+    this._suggestTimer = null;
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleTitleInput = this.handleTitleInput.bind(this);
+    this.handleTitleKeydown = this.handleTitleKeydown.bind(this);
+    this.handleTitleBlur = this.handleTitleBlur.bind(this);
+    this.handleSuggestionPointer = this.handleSuggestionPointer.bind(this);
+    this.handleSuggestionClick = this.handleSuggestionClick.bind(this);
+    this.handleCancel = this.handleCancel.bind(this);
+    this.handleGenrePick = this.handleGenrePick.bind(this);
+    this.handleChipClick = this.handleChipClick.bind(this);
+    this.render();
+  }
+
+  get genres() {
+    return this._genres;
+  }
+
+  set genres(map) {
+    this._genres = map || {};
+    this.renderOptions();
+  }
+
+  get authors() {
+    return this._authors;
+  }
+
+  set authors(map) {
+    this._authors = map || {};
+    this.renderOptions();
+  }
+
+  get suggestions() {
+    return this._suggestions;
+  }
+
+  /**
+   * Autocomplete entries for the title input, shown while it has focus
+   * @param {Array} suggestions - Objects containing type ('title' or 'author'),
+   *   id, label and an optional detail line
+   */
+  set suggestions(suggestions) {
+    this._suggestions = suggestions || [];
+    this._activeSuggestion = -1;
+    this.renderSuggestions();
+  }
+
+  get facets() {
+    return this._facets;
+  }
+
+  /**
+   * Number of books each genre and author option would give
+   * Options that would give none are disabled unless already chosen.
+   * @param {Object|null} facets - Object containing genres and authors, each
+   *   mapping an ID to a count, or null to show plain options
+   */
+  set facets(facets) {
+    this._facets = facets || null;
+    this.applyFacets();
+  }
+
+  /**
+   * Current form contents
+   * @returns {Object} - Object containing filters and sort
+   */
+  get value() {
+    return this.readForm();
+  }
+
+  /**
+   * Fill the form
+   * @param {Object} value - Object containing filters and sort
+   */
+  set value({ filters = {}, sort = 'relevance' } = {}) {
+    const form = this.shadowRoot.querySelector('form');
+    const values = { ...DEFAULT_FILTERS, ...filters };
+
+    for (const [key, value] of Object.entries(values)) {
+      const field = form.elements.namedItem(key);
+      if (field && key !== 'genres') field.value = value === null ? '' : value;
+    }
+
+    this.shadowRoot.querySelector('[data-chips]').innerHTML = '';
+    for (const genre of values.genres) {
+      this.addGenreChip(genre);
+    }
+
+    form.elements.namedItem('sort').value = sort;
+  }
+
+  connectedCallback() {
+    const form = this.shadowRoot.querySelector('form');
+    form.addEventListener('submit', this.handleSubmit);
+    form.addEventListener('input', this.handleChange);
+    form.addEventListener('change', this.handleChange);
+
+    const title = form.elements.namedItem('title');
+    title.addEventListener('input', this.handleTitleInput);
+    title.addEventListener('keydown', this.handleTitleKeydown);
+    title.addEventListener('blur', this.handleTitleBlur);
+
+    const list = this.shadowRoot.querySelector('[data-suggestions]');
+    list.addEventListener('mousedown', this.handleSuggestionPointer);
+    list.addEventListener('click', this.handleSuggestionClick);
+
+    this.shadowRoot.querySelector('[data-cancel]').addEventListener('click', this.handleCancel);
+    this.shadowRoot.querySelector('[data-genres]').addEventListener('change', this.handleGenrePick);
+    this.shadowRoot.querySelector('[data-chips]').addEventListener('click', this.handleChipClick);
+  }
+
+  disconnectedCallback() {
+    const form = this.shadowRoot.querySelector('form');
+    form.removeEventListener('submit', this.handleSubmit);
+    form.removeEventListener('input', this.handleChange);
+    form.removeEventListener('change', this.handleChange);
+    clearTimeout(this._changeTimer);
+
+    const title = form.elements.namedItem('title');
+    title.removeEventListener('input', this.handleTitleInput);
+    title.removeEventListener('keydown', this.handleTitleKeydown);
+    title.removeEventListener('blur', this.handleTitleBlur);
+    clearTimeout(this._suggestTimer);
+
+    const list = this.shadowRoot.querySelector('[data-suggestions]');
+    list.removeEventListener('mousedown', this.handleSuggestionPointer);
+    list.removeEventListener('click', this.handleSuggestionClick);
+
+    this.shadowRoot.querySelector('[data-cancel]').removeEventListener('click', this.handleCancel);
+    this.shadowRoot.querySelector('[data-genres]').removeEventListener('change', this.handleGenrePick);
+    this.shadowRoot.querySelector('[data-chips]').removeEventListener('click', this.handleChipClick);
+  }
+
+  handleSubmit(event) {
+    event.preventDefault();
+    this.dispatchEvent(new CustomEvent('search-submit', {
+      bubbles: true,
+      composed: true,
+      detail: this.readForm()
+    }));
+  }
+
+  // Typing fires many events in a row, so only the last one is reported
+  handleChange() {
+    clearTimeout(this._changeTimer);
+    this._changeTimer = setTimeout(() => {
+      this.dispatchEvent(new CustomEvent('search-change', {
+        bubbles: true,
+        composed: true,
+        detail: this.readForm()
+      }));
+    }, SEARCH_CHANGE_DELAY);
+  }
+
+  // Ask for autocomplete entries once typing pauses
+  handleTitleInput(event) {
+    const query = event.target.value;
+    clearTimeout(this._suggestTimer);
+    this._suggestTimer = setTimeout(() => {
+      this.dispatchEvent(new CustomEvent('search-suggest', {
+        bubbles: true,
+        composed: true,
+        detail: { query }
+      }));
+    }, SEARCH_CHANGE_DELAY);
+  }
+
+  handleTitleKeydown(event) {
+    const count = this._suggestions.length;
+    if (!count || this.shadowRoot.querySelector('[data-suggestions]').hidden) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      // -1 is the input itself, so the selection wraps through it
+      this._activeSuggestion = (this._activeSuggestion + 1 + step + count + 1) % (count + 1) - 1;
+      this.highlightSuggestion();
+    } else if (event.key === 'Enter' && this._activeSuggestion >= 0) {
+      // Pick the entry instead of submitting the form
+      event.preventDefault();
+      this.pickSuggestion(this._activeSuggestion);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      this.suggestions = [];
+    }
+  }
+
+  handleTitleBlur() {
+    clearTimeout(this._suggestTimer);
+    this.suggestions = [];
+  }
+
+  // Keep focus in the input so blur does not close the list before the click lands
+  handleSuggestionPointer(event) {
+    event.preventDefault();
+  }
+
+  handleSuggestionClick(event) {
+    const option = event.target.closest('[data-index]');
+    if (option) this.pickSuggestion(Number(option.dataset.index));
+  }
+
+  /**
+   * Close the list and report the chosen entry
+   * @param {number} index - Index in the suggestions
+   */
+  pickSuggestion(index) {
+    const suggestion = this._suggestions[index];
+    if (!suggestion) return;
+
+    this.suggestions = [];
+    this.dispatchEvent(new CustomEvent('suggestion-pick', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        type: suggestion.type,
+        id: suggestion.id
+      }
+    }));
+  }
+
+  /**
+   * Mark the keyboard-selected entry
+   */
+  highlightSuggestion() {
+    const input = this.shadowRoot.querySelector('[name="title"]');
+    const options = this.shadowRoot.querySelectorAll('[data-suggestions] [data-index]');
+
+    options.forEach((option, index) => {
+      option.setAttribute('aria-selected', index === this._activeSuggestion);
+    });
+    if (this._activeSuggestion >= 0) {
+      input.setAttribute('aria-activedescendant', options[this._activeSuggestion].id);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Fill the autocomplete list
+   */
+  renderSuggestions() {
+    const input = this.shadowRoot.querySelector('[name="title"]');
+    const list = this.shadowRoot.querySelector('[data-suggestions]');
+    // Results that arrive after the input lost focus are not shown
+    const show = this._suggestions.length > 0 && this.shadowRoot.activeElement === input;
+
+    list.replaceChildren(...(show ? this._suggestions : []).map((suggestion, index) => {
+      const option = document.createElement('li');
+      option.className = 'search__suggestion';
+      option.id = `search-suggestion-${index}`;
+      option.dataset.index = index;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+
+      const label = document.createElement('span');
+      label.className = 'search__suggestion-label';
+      label.textContent = suggestion.label;
+      option.appendChild(label);
+
+      if (suggestion.detail) {
+        const detail = document.createElement('span');
+        detail.className = 'search__suggestion-detail';
+        detail.textContent = suggestion.detail;
+        option.appendChild(detail);
+      }
+
+      return option;
+    }));
+
+    list.hidden = !show;
+    input.setAttribute('aria-expanded', show);
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  handleCancel() {
+    this.dispatchEvent(new CustomEvent('search-cancel', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  // Picking a genre adds it as a chip and resets the picker
+  handleGenrePick(event) {
+    this.addGenreChip(event.target.value);
+    event.target.value = 'any';
+  }
+
+  handleChipClick(event) {
+    const remove = event.target.closest('[data-chip-remove]');
+    if (remove) {
+      remove.closest('[data-genre-chip]').remove();
+      this.handleChange();
+    }
+  }
+
+  /**
+   * Read the form into typed filters; empty range bounds become null
+   * @returns {Object} - Object containing filters and sort
+   */
+  readForm() {
+    const formData = new FormData(this.shadowRoot.querySelector('form'));
+    const number = (name) => {
+      const value = String(formData.get(name) || '').trim();
+      return value === '' || !Number.isFinite(Number(value)) ? null : Number(value);
+    };
+
+    return {
+      filters: {
+        title: formData.get('title') || '',
+        scope: formData.get('scope'),
+        genres: formData.getAll('genres'),
+        genreMode: formData.get('genreMode'),
+        author: formData.get('author'),
+        publishedFrom: number('publishedFrom'),
+        publishedTo: number('publishedTo'),
+        pagesMin: number('pagesMin'),
+        pagesMax: number('pagesMax'),
+        minRating: number('minRating')
+      },
+      sort: formData.get('sort')
+    };
+  }
+
+  /**
+   * Add a genre to the selected genre chips, ignoring duplicates
+   * The chip carries a hidden input so the genre is submitted with the form.
+   * @param {string} id - Genre ID
+   */
+  addGenreChip(id) {
+    const container = this.shadowRoot.querySelector('[data-chips]');
+    const name = this._genres[id];
+    if (!name || container.querySelector(`[data-genre-chip="${id}"]`)) return;
+
+    const chip = document.createElement('span');
+    chip.className = 'search__chip';
+    chip.dataset.genreChip = id;
+
+    const label = document.createElement('span');
+    label.textContent = name;
+
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = 'genres';
+    input.value = id;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'search__chip-remove';
+    remove.dataset.chipRemove = '';
+    remove.setAttribute('aria-label', `Remove ${name}`);
+    remove.textContent = '×';
+
+    chip.append(label, input, remove);
+    container.appendChild(chip);
+  }
+
+  /**
+   * Fill the genre and author dropdowns, keeping the current selection
+   */
+  renderOptions() {
+    const { filters } = this.readForm();
+    const option = (value, text) => {
+      const element = document.createElement('option');
+      element.value = value;
+      element.textContent = text;
+      return element;
+    };
+
+    const genreSelect = this.shadowRoot.querySelector('[data-genres]');
+    genreSelect.replaceChildren(option('any', 'All Genres'));
+    for (const [id, name] of Object.entries(this._genres)) {
+      genreSelect.appendChild(option(id, name));
+    }
+
+    const authorSelect = this.shadowRoot.querySelector('[data-authors]');
+    authorSelect.replaceChildren(option('any', 'All Authors'));
+    for (const [id, name] of Object.entries(this._authors)) {
+      authorSelect.appendChild(option(id, name));
+    }
+    authorSelect.value = Object.hasOwn(this._authors, filters.author) ? filters.author : 'any';
+    this.applyFacets();
+  }
+
+  /**
+   * Show facet counts on the genre and author options
+   */
+  applyFacets() {
+    const { filters } = this.readForm();
+    const update = (select, names, counts, isChosen) => {
+      for (const option of select.options) {
+        if (option.value === 'any') continue;
+
+        const name = names[option.value];
+        const count = counts ? counts[option.value] || 0 : null;
+        option.textContent = count === null ? name : `${name} (${count})`;
+        option.disabled = count === 0 && !isChosen(option.value);
+      }
+    };
+
+    update(
+      this.shadowRoot.querySelector('[data-genres]'),
+      this._genres,
+      this._facets && this._facets.genres,
+      id => filters.genres.includes(id)
+    );
+    update(
+      this.shadowRoot.querySelector('[data-authors]'),
+      this._authors,
+      this._facets && this._facets.authors,
+      id => filters.author === id
+    );
+  }
+
+  render() {
+    const sortOptions = Object.entries(SORT_OPTIONS)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          font-family: Roboto, sans-serif;
+        }
+
+        * {
+          box-sizing: border-box;
+        }
+
+        .search__form {
+          padding-bottom: 0.5rem;
+          margin: 0 auto;
+        }
+
+        .search__field {
+          position: relative;
+          display: block;
+        }
+
+        .search__autocomplete {
+          position: relative;
+        }
+
+        .search__suggestions {
+          position: absolute;
+          top: calc(100% - 0.5rem);
+          left: 0;
+          right: 0;
+          z-index: 1;
+          margin: 0;
+          padding: 0.25rem 0;
+          list-style: none;
+          border-radius: 0 0 6px 6px;
+          box-shadow: 0 3px 6px rgba(0, 0, 0, 0.2);
+          background-color: rgba(var(--color-light, 255, 255, 255), 1);
+        }
+
+        .search__suggestions[hidden] {
+          display: none;
+        }
+
+        .search__suggestion {
+          display: flex;
+          justify-content: space-between;
+          gap: 1rem;
+          padding: 0.5rem 0.75rem;
+          cursor: pointer;
+          font-size: 0.9rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.8);
+        }
+
+        .search__suggestion:hover,
+        .search__suggestion[aria-selected="true"] {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.1);
+        }
+
+        .search__suggestion-detail {
+          flex-shrink: 0;
+          font-size: 0.8rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.4);
+        }
+
+        .search__label {
+          position: absolute;
+          top: 0.75rem;
+          left: 0.75rem;
+          font-size: 0.85rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.4);
+        }
+
+        .search__input {
+          width: 100%;
+          margin-bottom: 0.5rem;
+          background-color: rgba(var(--color-dark, 10, 10, 20), 0.05);
+          border-width: 0;
+          border-radius: 6px;
+          height: 4rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 1);
+          padding: 1rem 0.5rem 0 0.75rem;
+          font-size: 1.1rem;
+          font-weight: bold;
+          font-family: Roboto, sans-serif;
+          cursor: pointer;
+        }
+
+        .search__input:hover {
+          background-color: rgba(var(--color-dark, 10, 10, 20), 0.1);
+        }
+
+        .search__input_select {
+          padding-left: 0.5rem;
+        }
+
+        option {
+          background-color: rgba(var(--color-light, 255, 255, 255), 1);
+          color: rgba(var(--color-dark, 10, 10, 20), 0.8);
+        }
+
+        .search__range {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 0.5rem;
+        }
+
+        .search__chips {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+          margin-bottom: 0.5rem;
+        }
+
+        .search__chips:empty {
+          display: none;
+        }
+
+        .search__chip {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.25rem;
+          padding: 0.25rem 0.25rem 0.25rem 0.75rem;
+          border-radius: 1rem;
+          font-size: 0.85rem;
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.1);
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+          border: 1px solid rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .search__chip-remove {
+          border-width: 0;
+          background: none;
+          cursor: pointer;
+          font-size: 1rem;
+          line-height: 1;
+          width: 1.5rem;
+          height: 1.5rem;
+          border-radius: 50%;
+          color: inherit;
+        }
+
+        .search__chip-remove:hover {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.2);
+        }
+
+        .search__row {
+          display: flex;
+          gap: 0.5rem;
+          margin: 0 auto;
+          justify-content: center;
+        }
+
+        .search__button {
+          font-family: Roboto, sans-serif;
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.1);
+          transition: background-color 0.1s;
+          border-radius: 6px;
+          height: 2.75rem;
+          cursor: pointer;
+          width: 50%;
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+          font-size: 1rem;
+          border: 1px solid rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .search__button:hover {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.2);
+        }
+
+        .search__button_primary {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 1);
+          color: rgba(var(--color-force-light, 255, 255, 255), 1);
+        }
+
+        .search__button_primary:hover {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.8);
+        }
+      </style>
+
+      <form class="search__form">
+        <div class="search__autocomplete">
+          <label class="search__field">
+            <div class="search__label">Title</div>
+            <input
+              class="search__input"
+              name="title"
+              placeholder="Any"
+              autocomplete="off"
+              role="combobox"
+              aria-autocomplete="list"
+              aria-controls="search-suggestions"
+              aria-expanded="false"
+            />
+          </label>
+          <ul class="search__suggestions" id="search-suggestions" role="listbox" aria-label="Suggestions" data-suggestions hidden></ul>
+        </div>
+
+        <label class="search__field">
+          <div class="search__label">Search in</div>
+          <select class="search__input search__input_select" name="scope">
+            <option value="title">Titles</option>
+            <option value="fulltext">Titles and descriptions</option>
+          </select>
+        </label>
+
+        <label class="search__field">
+          <div class="search__label">Genres</div>
+          <select class="search__input search__input_select" data-genres></select>
+        </label>
+
+        <div class="search__chips" data-chips></div>
+
+        <label class="search__field">
+          <div class="search__label">Match</div>
+          <select class="search__input search__input_select" name="genreMode">
+            <option value="any">Any selected genre</option>
+            <option value="all">All selected genres</option>
+          </select>
+        </label>
+
+        <label class="search__field">
+          <div class="search__label">Author</div>
+          <select class="search__input search__input_select" name="author" data-authors></select>
+        </label>
+
+        <label class="search__field">
+          <div class="search__label">Sort by</div>
+          <select class="search__input search__input_select" name="sort">${sortOptions}</select>
+        </label>
+
+        <div class="search__range">
+          <label class="search__field">
+            <div class="search__label">Published from</div>
+            <input class="search__input" type="number" name="publishedFrom" min="0" max="9999" placeholder="Any year" />
+          </label>
+
+          <label class="search__field">
+            <div class="search__label">Published to</div>
+            <input class="search__input" type="number" name="publishedTo" min="0" max="9999" placeholder="Any year" />
+          </label>
+        </div>
+
+        <div class="search__range">
+          <label class="search__field">
+            <div class="search__label">Min pages</div>
+            <input class="search__input" type="number" name="pagesMin" min="0" placeholder="Any" />
+          </label>
+
+          <label class="search__field">
+            <div class="search__label">Max pages</div>
+            <input class="search__input" type="number" name="pagesMax" min="0" placeholder="Any" />
+          </label>
+        </div>
+
+        <label class="search__field">
+          <div class="search__label">My rating</div>
+          <select class="search__input search__input_select" name="minRating">
+            <option value="">Any</option>
+            <option value="1">Rated 1+</option>
+            <option value="2">Rated 2+</option>
+            <option value="3">Rated 3+</option>
+            <option value="4">Rated 4+</option>
+            <option value="5">Rated 5</option>
+          </select>
+        </label>
+
+        <div class="search__row">
+          <button class="search__button" type="button" data-cancel>Cancel</button>
+          <button class="search__button search__button_primary" type="submit">Search</button>
+        </div>
+      </form>
+    `;
+
+    this.renderOptions();
+  }
+}
+
+customElements.define('book-search', BookSearch);
@@ -1,4 +1,71 @@
 import { books, authors, genres, BOOKS_PER_PAGE } from './data.js'
+import { DEFAULT_FILTERS, SORT_OPTIONS } from './book-search.js'
+
+// Minimum fuzzy score (0-1) for a title to count as a search match
+const FUZZY_MATCH_THRESHOLD = 0.75;
+
+// Minimum whole-string similarity (0-1) for an imported row to match a book
+// it does not name exactly; stricter than search since a match writes data
+const IMPORT_MATCH_THRESHOLD = 0.85;
+
+// Filters holding a number (or null when unbounded)
+const NUMERIC_FILTERS = ['publishedFrom', 'publishedTo', 'pagesMin', 'pagesMax', 'minRating'];
+
+// BM25 tuning: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// localStorage keys for data kept between visits
+const STORAGE_KEYS = {
+  favourites: 'book-connect:favourites',
+  shelves: 'book-connect:shelves',
+  progress: 'book-connect:progress',
+  reviews: 'book-connect:reviews'
+};
+
+// Shelf whose books get reading progress tracking
+const READING_SHELF = 'currently-reading';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shelves every user has; they can hold books but cannot be deleted
+const BUILT_IN_SHELVES = [
+  { id: 'want-to-read', name: 'Want to read' },
+  { id: 'currently-reading', name: 'Currently reading' },
+  { id: 'finished', name: 'Finished' }
+];
+
+// Goodreads "Exclusive Shelf" values and the built-in shelves they map to
+const GOODREADS_SHELVES = {
+  'to-read': 'want-to-read',
+  'currently-reading': 'currently-reading',
+  read: 'finished'
+};
+
+// How much each signal counts towards "More like this"
+const RELATED_WEIGHTS = {
+  genres: 0.5,
+  author: 0.2,
+  description: 0.3
+};
+
+const RELATED_LIMIT = 6;
+
+// Once more previews than this are loaded, only rows near the viewport stay mounted
+const VIRTUAL_THRESHOLD = BOOKS_PER_PAGE * 4;
+
+// Extra rows kept mounted above and below the viewport when virtualized
+const VIRTUAL_OVERSCAN_ROWS = 4;
+
+// Title terms count this many times over description terms in full-text search
+const TITLE_WEIGHT = 3;
+
+// Common words left out of the full-text index
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has',
+  'he', 'her', 'his', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that',
+  'the', 'their', 'this', 'to', 'was', 'were', 'with'
+]);
 
 /**
  * Book Preview Web Component
@@ -7,11 +74,27 @@ import { books, authors, genres, BOOKS_PER_PAGE } from './data.js'
 class BookPreview extends HTMLElement {
   constructor() {
     super();
-    this.attachShadow({ mode: 'open' });
+    this.attachShadow({ mode: 'open', delegatesFocus: true });
+    this.handleClick = this.handleClick.bind(this);
   }
 
   static get observedAttributes() {
-    return ['author', 'id', 'image', 'title', 'author-name'];
+    return ['author', 'id', 'image', 'title', 'author-name', 'favourite', 'progress', 'rating', 'compact'];
+  }
+
+  /**
+   * Create a preview showing a book from the catalogue
+   * @param {Object} book - Book object containing author, id, image, title
+   * @returns {BookPreview} - Preview without any per-user attributes
+   */
+  static fromBook({ author, id, image, title }) {
+    const element = document.createElement('book-preview');
+    element.setAttribute('author', author);
+    element.setAttribute('id', id);
+    element.setAttribute('image', image);
+    element.setAttribute('title', title);
+    element.setAttribute('author-name', authors[author]);
+    return element;
   }
 
   connectedCallback() {
@@ -27,20 +110,41 @@ class BookPreview extends HTMLElement {
     this.removeEventListeners();
   }
 
+  // Listening on the shadow root keeps working when render() replaces its contents
   addEventListeners() {
-    this.button = this.shadowRoot.querySelector('.preview');
-    if (this.button) {
-      this.button.addEventListener('click', this.handleClick.bind(this));
-    }
+    this.shadowRoot.addEventListener('click', this.handleClick);
   }
 
   removeEventListeners() {
-    if (this.button) {
-      this.button.removeEventListener('click', this.handleClick.bind(this));
-    }
+    this.shadowRoot.removeEventListener('click', this.handleClick);
   }
 
   handleClick(event) {
+    if (event.target.closest('[data-favourite]')) {
+      this.dispatchEvent(new CustomEvent('favourite-toggle', {
+        bubbles: true,
+        composed: true,
+        detail: {
+          bookId: this.getAttribute('id')
+        }
+      }));
+      return;
+    }
+
+    // The author name is a shortcut to the author's page
+    if (event.target.closest('[data-author]')) {
+      this.dispatchEvent(new CustomEvent('author-click', {
+        bubbles: true,
+        composed: true,
+        detail: {
+          authorId: this.getAttribute('author')
+        }
+      }));
+      return;
+    }
+
+    if (!event.target.closest('.preview')) return;
+
     // Dispatch a custom event that bubbles up to parent elements
     this.dispatchEvent(new CustomEvent('preview-click', {
       bubbles: true,
@@ -57,6 +161,12 @@ class BookPreview extends HTMLElement {
     const image = this.getAttribute('image');
     const title = this.getAttribute('title');
     const authorName = this.getAttribute('author-name');
+    const favourite = this.hasAttribute('favourite');
+    const progress = this.hasAttribute('progress')
+      ? Math.min(100, Math.max(0, Number(this.getAttribute('progress')) || 0))
+      : null;
+    const rating = Math.min(5, Math.max(0, parseInt(this.getAttribute('rating'), 10) || 0));
+    const compact = this.hasAttribute('compact');
 
     this.shadowRoot.innerHTML = `
       <style>
@@ -65,6 +175,26 @@ class BookPreview extends HTMLElement {
           width: 100%;
         }
         
+        .preview__wrapper {
+          position: relative;
+        }
+        
+        .preview__progress {
+          position: absolute;
+          left: 1px;
+          right: 1px;
+          bottom: 1px;
+          height: 4px;
+          border-radius: 0 0 8px 8px;
+          overflow: hidden;
+          background: rgba(var(--color-dark, 10, 10, 20), 0.1);
+        }
+        
+        .preview__progress-fill {
+          height: 100%;
+          background: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+        
         .preview {
           border-width: 0;
           width: 100%;
@@ -116,21 +246,103 @@ class BookPreview extends HTMLElement {
         .preview__author {
           color: rgba(var(--color-dark, 10, 10, 20), 0.4);
         }
+        
+        .preview__author:hover {
+          text-decoration: underline;
+        }
+        
+        .preview__rating {
+          display: inline-block;
+          margin-top: 0.25rem;
+          padding: 0 0.375rem;
+          border-radius: 1rem;
+          font-size: 0.75rem;
+          background: rgba(var(--color-blue, 0, 150, 255), 0.1);
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+        
+        .preview__favourite {
+          position: absolute;
+          top: 0.25rem;
+          right: 0.25rem;
+          width: 2rem;
+          height: 2rem;
+          border-width: 0;
+          border-radius: 50%;
+          background: none;
+          cursor: pointer;
+          font-size: 1.1rem;
+          line-height: 1;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.3);
+        }
+        
+        .preview__favourite:hover {
+          background: rgba(var(--color-blue, 0, 150, 255), 0.1);
+        }
+        
+        .preview__favourite[aria-pressed="true"] {
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+        
+        :host([compact]) .preview {
+          padding: 0.25rem 0.5rem;
+        }
+        
+        :host([compact]) .preview__image {
+          width: 32px;
+          height: 47px;
+        }
+        
+        :host([compact]) .preview__info {
+          padding: 0.25rem 0.75rem;
+          font-size: 0.85rem;
+        }
+        
+        :host([compact]) .preview__title {
+          margin-bottom: 0.25rem;
+        }
       </style>
       
-      <button class="preview" data-preview="${id}">
-        <img
-          class="preview__image"
-          src="${image}"
-          alt="Cover for ${title}"
-        />
+      <div class="preview__wrapper">
+        <button class="preview" data-preview>
+          <img class="preview__image" data-image />
         
-        <div class="preview__info">
-          <h3 class="preview__title">${title}</h3>
-          <div class="preview__author">${authorName}</div>
+          <div class="preview__info">
+            <h3 class="preview__title" data-title></h3>
+            <div class="preview__author" data-author></div>
+            ${rating ? `<div class="preview__rating" aria-label="Rated ${rating} out of 5">★ ${rating}</div>` : ''}
+          </div>
+        </button>
+        ${compact ? '' : `
+        <button
+          class="preview__favourite"
+          data-favourite
+          aria-pressed="${favourite}"
+          aria-label="${favourite ? 'Remove from favourites' : 'Add to favourites'}"
+        >${favourite ? '★' : '☆'}</button>
+        `}
+        ${progress === null ? '' : `
+        <div
+          class="preview__progress"
+          role="progressbar"
+          aria-label="Reading progress"
+          aria-valuemin="0"
+          aria-valuemax="100"
+          aria-valuenow="${progress}"
+        >
+          <div class="preview__progress-fill" style="width: ${progress}%"></div>
         </div>
-      </button>
+        `}
+      </div>
     `;
+
+    const root = this.shadowRoot;
+    root.querySelector('[data-preview]').dataset.preview = id;
+    root.querySelector('[data-image]').src = image;
+    root.querySelector('[data-image]').alt = `Cover for ${title}`;
+    root.querySelector('[data-title]').textContent = title;
+    root.querySelector('[data-author]').textContent = authorName;
+    root.querySelector('[data-author]').title = `More by ${authorName}`;
   }
 }
 
@@ -138,229 +350,3765 @@ class BookPreview extends HTMLElement {
 customElements.define('book-preview', BookPreview);
 
 /**
- * Book Connect Application
- * A modular application for browsing and searching books.
- * Refactored to use Web Components for book previews.
+ * Book Details Web Component
+ * A custom element that displays the full details of a single book.
+ * Set either the `book-id` attribute or the `book` property. Previews under
+ * "More like this" come from the `createPreview` function, which defaults to
+ * `BookPreview.fromBook`.
  */
-const BookConnect = {
-  /**
-   * State management for the application
-   */
-  state: {
-    page: 1,
-    matches: books,
-    currentTheme: 'day'
-  },
+class BookDetails extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._book = null;
+    this._shelves = [];
+    this._progress = null;
+    this._review = { rating: 0, text: '' };
+    this._related = [];
+    this.createPreview = BookPreview.fromBook;
+    this.handleClose = this.handleClose.bind(this);
+    this.handleAuthor = this.handleAuthor.bind(this);
+    this.handleRating = this.handleRating.bind(this);
+    this.handleReviewSave = this.handleReviewSave.bind(this);
+    this.handleProgressLog = this.handleProgressLog.bind(this);
+    this.handleFavourite = this.handleFavourite.bind(this);
+    this.handleShelfChange = this.handleShelfChange.bind(this);
+  }
+
+  static get observedAttributes() {
+    return ['book-id', 'favourite'];
+  }
+
+  get book() {
+    return this._book;
+  }
+
+  set book(book) {
+    this._book = book || null;
+    this.render();
+  }
+
+  get shelves() {
+    return this._shelves;
+  }
 
   /**
-   * DOM element selectors used throughout the application
+   * Shelves to offer as checkboxes
+   * @param {Array} shelves - Objects containing id, name and checked
    */
-  selectors: {
-    listItems: '[data-list-items]',
-    searchGenres: '[data-search-genres]',
-    searchAuthors: '[data-search-authors]',
-    settingsTheme: '[data-settings-theme]',
-    listButton: '[data-list-button]',
-    listMessage: '[data-list-message]',
-    searchOverlay: '[data-search-overlay]',
-    settingsOverlay: '[data-settings-overlay]',
-    listActive: '[data-list-active]',
-    searchCancel: '[data-search-cancel]',
-    settingsCancel: '[data-settings-cancel]',
-    headerSearch: '[data-header-search]',
-    headerSettings: '[data-header-settings]',
-    listClose: '[data-list-close]',
-    settingsForm: '[data-settings-form]',
-    searchForm: '[data-search-form]',
-    searchTitle: '[data-search-title]',
-    listBlur: '[data-list-blur]',
-    listImage: '[data-list-image]',
-    listTitle: '[data-list-title]',
-    listSubtitle: '[data-list-subtitle]',
-    listDescription: '[data-list-description]'
-  },
+  set shelves(shelves) {
+    this._shelves = shelves || [];
+    this.renderShelves();
+  }
+
+  get review() {
+    return this._review;
+  }
 
   /**
-   * Initialize the application
+   * The user's rating and review of the book
+   * @param {Object} review - Object containing rating (0 for none, 1-5) and text
    */
-  init() {
-    this.renderBooks();
-    this.populateFilterOptions();
-    this.setInitialTheme();
-    this.updateShowMoreButton();
-    this.setupEventListeners();
-  },
+  set review(review) {
+    this._review = { rating: 0, text: '', ...review };
+    this.renderReview();
+  }
+
+  get related() {
+    return this._related;
+  }
 
   /**
-   * Create a book preview using the Web Component
-   * @param {Object} book - Book object containing author, id, image, title
-   * @returns {HTMLElement} - BookPreview Web Component
+   * Books to show under "More like this"
+   * @param {Array} related - Book objects, most similar first
    */
-  createBookPreview({ author, id, image, title }) {
-    const element = document.createElement('book-preview');
-    element.setAttribute('author', author);
-    element.setAttribute('id', id);
-    element.setAttribute('image', image);
-    element.setAttribute('title', title);
-    element.setAttribute('author-name', authors[author]);
-    
-    return element;
-  },
+  set related(related) {
+    this._related = related || [];
+    this.renderRelated();
+  }
+
+  get progress() {
+    return this._progress;
+  }
 
   /**
-   * Render books to the page based on current state
+   * Reading progress to show, or null to hide the progress section
+   * @param {Object|null} progress - Object containing pages, percent, entries
+   *   (array of { date, page }) and estimate (ISO date or null)
    */
-  renderBooks() {
-    const startIndex = (this.state.page - 1) * BOOKS_PER_PAGE;
-    const endIndex = startIndex + BOOKS_PER_PAGE;
-    const fragment = document.createDocumentFragment();
+  set progress(progress) {
+    this._progress = progress || null;
+    this.renderProgress();
+  }
 
-    for (const book of this.state.matches.slice(startIndex, endIndex)) {
-      fragment.appendChild(this.createBookPreview(book));
-    }
+  connectedCallback() {
+    this.render();
+  }
 
-    document.querySelector(this.selectors.listItems).appendChild(fragment);
-  },
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    if (name === 'favourite') {
+      this.renderFavourite();
+      return;
+    }
+    this._book = books.find(book => book.id === newValue) || null;
+    this.render();
+  }
 
   /**
-   * Clear the current book list and render fresh
+   * Dispatch the rating and review text to be saved
+   * @param {number} rating - 0 for no rating, otherwise 1-5
    */
-  refreshBookList() {
-    document.querySelector(this.selectors.listItems).innerHTML = '';
-    this.renderBooks();
-  },
+  saveReview(rating) {
+    if (!this._book) return;
+    const text = this.shadowRoot.querySelector('[data-review-form] textarea').value;
+
+    this.dispatchEvent(new CustomEvent('review-save', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        bookId: this._book.id,
+        rating,
+        text
+      }
+    }));
+  }
+
+  // Clicking the current rating again clears it
+  handleRating(event) {
+    const star = event.target.closest('[data-rating]');
+    if (!star) return;
+
+    const rating = Number(star.dataset.rating);
+    this.saveReview(rating === this._review.rating ? 0 : rating);
+  }
+
+  handleReviewSave(event) {
+    event.preventDefault();
+    this.saveReview(this._review.rating);
+  }
+
+  handleProgressLog(event) {
+    event.preventDefault();
+    const page = parseInt(new FormData(event.target).get('page'), 10);
+    if (!this._book || !Number.isFinite(page)) return;
+
+    this.dispatchEvent(new CustomEvent('progress-log', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        bookId: this._book.id,
+        page
+      }
+    }));
+  }
+
+  handleShelfChange(event) {
+    if (!this._book || !event.target.dataset.shelf) return;
+    this.dispatchEvent(new CustomEvent('shelf-toggle', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        bookId: this._book.id,
+        shelfId: event.target.dataset.shelf,
+        checked: event.target.checked
+      }
+    }));
+  }
+
+  handleFavourite() {
+    if (!this._book) return;
+    this.dispatchEvent(new CustomEvent('favourite-toggle', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        bookId: this._book.id
+      }
+    }));
+  }
+
+  handleClose() {
+    this.dispatchEvent(new CustomEvent('details-close', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        bookId: this._book ? this._book.id : null
+      }
+    }));
+  }
+
+  handleAuthor() {
+    if (!this._book) return;
+
+    this.dispatchEvent(new CustomEvent('author-click', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        authorId: this._book.author
+      }
+    }));
+  }
 
   /**
-   * Create an option element for dropdowns
-   * @param {string} value - Value for the option
-   * @param {string} text - Display text for the option
-   * @returns {HTMLElement} - Option element
+   * Update the favourite button from the favourite attribute
    */
-  createOptionElement(value, text) {
-    const element = document.createElement('option');
-    element.value = value;
-    element.innerText = text;
-    return element;
-  },
+  renderFavourite() {
+    const button = this.shadowRoot.querySelector('[data-favourite]');
+    if (!button) return;
+
+    const favourite = this.hasAttribute('favourite');
+    button.setAttribute('aria-pressed', favourite);
+    button.textContent = favourite ? '★ Favourite' : '☆ Add to favourites';
+  }
 
   /**
-   * Populate the genre and author filter options
+   * Update the stars and review text from the review property
    */
-  populateFilterOptions() {
-    // Populate genres dropdown
-    const genreHtml = document.createDocumentFragment();
-    genreHtml.appendChild(this.createOptionElement('any', 'All Genres'));
+  renderReview() {
+    const root = this.shadowRoot;
+    const textarea = root.querySelector('[data-review-form] textarea');
+    if (!textarea) return;
 
-    for (const [id, name] of Object.entries(genres)) {
-      genreHtml.appendChild(this.createOptionElement(id, name));
+    for (const star of root.querySelectorAll('[data-rating]')) {
+      const rating = Number(star.dataset.rating);
+      star.classList.toggle('details__star_filled', rating <= this._review.rating);
+      star.setAttribute('aria-checked', rating === this._review.rating);
     }
-    document.querySelector(this.selectors.searchGenres).appendChild(genreHtml);
-
-    // Populate authors dropdown
-    const authorsHtml = document.createDocumentFragment();
-    authorsHtml.appendChild(this.createOptionElement('any', 'All Authors'));
 
-    for (const [id, name] of Object.entries(authors)) {
-      authorsHtml.appendChild(this.createOptionElement(id, name));
+    // Only a newly saved text replaces the field, so a draft survives other updates
+    if (textarea.defaultValue !== this._review.text) {
+      textarea.defaultValue = this._review.text;
+      textarea.value = this._review.text;
     }
-    document.querySelector(this.selectors.searchAuthors).appendChild(authorsHtml);
-  },
+  }
 
   /**
-   * Set theme based on user preference
-   * @param {string} theme - Theme to set ('day' or 'night')
+   * Rebuild the shelf checkboxes, or just tick them when the shelves are unchanged
    */
-  setTheme(theme) {
-    this.state.currentTheme = theme;
-    
-    if (theme === 'night') {
-      document.documentElement.style.setProperty('--color-dark', '255, 255, 255');
-      document.documentElement.style.setProperty('--color-light', '10, 10, 20');
-    } else {
-      document.documentElement.style.setProperty('--color-dark', '10, 10, 20');
-      document.documentElement.style.setProperty('--color-light', '255, 255, 255');
+  renderShelves() {
+    const shelfList = this.shadowRoot.querySelector('[data-shelves]');
+    if (!shelfList || !this._book) return;
+
+    const checkboxes = [...shelfList.querySelectorAll('[data-shelf]')];
+    const sameShelves = checkboxes.length === this._shelves.length
+      && this._shelves.every((shelf, index) => checkboxes[index].dataset.shelf === shelf.id
+        && checkboxes[index].parentNode.textContent === shelf.name);
+    if (sameShelves) {
+      this._shelves.forEach((shelf, index) => {
+        checkboxes[index].checked = Boolean(shelf.checked);
+      });
+      return;
     }
-    
-    document.querySelector(this.selectors.settingsTheme).value = theme;
-  },
 
-  /**
-   * Set initial theme based on system preference
-   */
-  setInitialTheme() {
-    const prefersDarkMode = window.matchMedia && 
-      window.matchMedia('(prefers-color-scheme: dark)').matches;
-    
-    this.setTheme(prefersDarkMode ? 'night' : 'day');
-  },
+    shelfList.replaceChildren();
+    for (const shelf of this._shelves) {
+      const label = document.createElement('label');
+      label.className = 'details__shelf';
 
-  /**
-   * Update the "Show more" button text and state
-   */
-  updateShowMoreButton() {
-    const remainingBooks = this.state.matches.length - (this.state.page * BOOKS_PER_PAGE);
-    const remainingText = remainingBooks > 0 ? remainingBooks : 0;
-    
-    const button = document.querySelector(this.selectors.listButton);
-    button.disabled = remainingBooks <= 0;
-    button.innerHTML = `
-      <span>Show more</span>
-      <span class="list__remaining"> (${remainingText})</span>
-    `;
-  },
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = Boolean(shelf.checked);
+      checkbox.dataset.shelf = shelf.id;
+
+      label.append(checkbox, shelf.name);
+      shelfList.appendChild(label);
+    }
+  }
 
   /**
-   * Filter books based on search criteria
-   * @param {Object} filters - Object containing title, author, and genre filters
-   * @returns {Array} - Filtered books
+   * Fill the reading progress section from the progress property
    */
-  filterBooks(filters) {
-    return books.filter(book => {
-      // Check if title matches
-      const titleMatch = filters.title.trim() === '' || 
-        book.title.toLowerCase().includes(filters.title.toLowerCase());
-      
-      // Check if author matches
-      const authorMatch = filters.author === 'any' || book.author === filters.author;
-      
-      // Check if any genre matches
-      let genreMatch = filters.genre === 'any';
-      if (!genreMatch) {
-        for (const singleGenre of book.genres) {
-          if (singleGenre === filters.genre) {
-            genreMatch = true;
-            break;
-          }
-        }
-      }
-      
-      return titleMatch && authorMatch && genreMatch;
+  renderProgress() {
+    const root = this.shadowRoot;
+    const progress = this._progress;
+    const section = root.querySelector('[data-progress]');
+    if (!section || !this._book) return;
+
+    section.hidden = !progress;
+    if (!progress) return;
+
+    const last = progress.entries[progress.entries.length - 1];
+    const current = last ? last.page : 0;
+    const formatDate = (date) => new Date(date).toLocaleDateString(undefined, {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
     });
-  },
 
-  /**
-   * Find a book by its ID
-   * @param {string} id - Book ID to search for
-   * @returns {Object|null} - Book object if found, null otherwise
-   */
-  findBookById(id) {
-    return books.find(book => book.id === id) || null;
-  },
+    root.querySelector('[data-progress-fill]').style.width = `${progress.percent}%`;
+    root.querySelector('[data-progress-text]').textContent =
+      `Page ${current} of ${progress.pages} (${progress.percent}%)`;
 
-  /**
-   * Display book details in the overlay
+    // As with the review, a page still being typed is kept until a new one is logged
+    const input = root.querySelector('[data-progress-form] input');
+    input.max = progress.pages;
+    if (input.defaultValue !== String(current)) {
+      input.defaultValue = current;
+      input.value = current;
+    }
+
+    let estimate = 'Log your page on another day to estimate when you will finish.';
+    if (current >= progress.pages) {
+      estimate = 'Finished!';
+    } else if (progress.estimate) {
+      estimate = `At your current pace you will finish around ${formatDate(progress.estimate)}.`;
+    }
+    root.querySelector('[data-progress-estimate]').textContent = estimate;
+
+    // Most recent entries first
+    const history = root.querySelector('[data-progress-history]');
+    history.replaceChildren();
+    for (const entry of [...progress.entries].reverse()) {
+      const item = document.createElement('li');
+      const date = document.createElement('span');
+      const page = document.createElement('span');
+      date.textContent = formatDate(entry.date);
+      page.textContent = `p. ${entry.page}`;
+      item.append(date, page);
+      history.appendChild(item);
+    }
+  }
+
+  render() {
+    const book = this._book;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+        }
+
+        .details__preview {
+          overflow: hidden;
+          margin: -1rem;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          position: relative;
+        }
+
+        .details__blur {
+          width: 100%;
+          height: 200px;
+          filter: blur(10px);
+          opacity: 0.5;
+          transform: scale(2);
+        }
+
+        .details__image {
+          max-width: 10rem;
+          position: absolute;
+          top: 1.5rem;
+          left: calc(50% - 5rem);
+          border-radius: 2px;
+          box-shadow: 0px 3px 3px -2px rgba(0,0,0,0.2), 0px 3px 4px 0px rgba(0,0,0,0.14), 0px 1px 8px 0px rgba(0,0,0,0.12);
+        }
+
+        .details__content {
+          padding: 2rem 1.5rem;
+          text-align: center;
+          padding-top: 3rem;
+          font-family: Roboto, sans-serif;
+        }
+
+        .details__title {
+          padding: 1rem 0 0.25rem;
+          font-size: 1.25rem;
+          font-weight: bold;
+          line-height: 1;
+          letter-spacing: -0.1px;
+          max-width: 25rem;
+          margin: 0 auto;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.8);
+        }
+
+        .details__data {
+          font-size: 0.9rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.8);
+        }
+
+        .details__author {
+          padding: 0;
+          border-width: 0;
+          background: none;
+          cursor: pointer;
+          font: inherit;
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .details__author:hover {
+          text-decoration: underline;
+        }
+
+        .details__meta {
+          margin: 0.5rem 0 0;
+          font-size: 0.8rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.6);
+        }
+
+        .details__genres {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          gap: 0.25rem;
+          margin: 0.75rem 0;
+          padding: 0;
+          list-style: none;
+        }
+
+        .details__genre {
+          padding: 0.125rem 0.5rem;
+          border-radius: 1rem;
+          font-size: 0.75rem;
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.1);
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .details__description {
+          font-size: 0.9rem;
+          display: -webkit-box;
+          -webkit-line-clamp: 6;
+          -webkit-box-orient: vertical;
+          overflow: hidden;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.6);
+        }
+
+        .details__progress {
+          margin: 0 0 1rem;
+          font-size: 0.85rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.8);
+        }
+
+        .details__progress[hidden] {
+          display: none;
+        }
+
+        .details__bar {
+          height: 6px;
+          border-radius: 3px;
+          overflow: hidden;
+          background: rgba(var(--color-dark, 10, 10, 20), 0.1);
+        }
+
+        .details__bar-fill {
+          height: 100%;
+          background: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .details__log {
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          gap: 0.5rem;
+          margin: 0.75rem 0 0;
+        }
+
+        .details__log .details__button {
+          width: auto;
+          height: 2.25rem;
+          padding: 0 1rem;
+        }
+
+        .details__input {
+          width: 5rem;
+          height: 2.25rem;
+          padding: 0 0.5rem;
+          border-width: 0;
+          border-radius: 6px;
+          font-family: Roboto, sans-serif;
+          color: rgba(var(--color-dark, 10, 10, 20), 1);
+          background-color: rgba(var(--color-dark, 10, 10, 20), 0.05);
+        }
+
+        .details__history {
+          margin: 0.5rem auto 0;
+          padding: 0;
+          max-width: 15rem;
+          list-style: none;
+          font-size: 0.8rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.6);
+        }
+
+        .details__history li {
+          display: flex;
+          justify-content: space-between;
+        }
+
+        .details__review {
+          margin: 0 0 1rem;
+        }
+
+        .details__stars {
+          display: flex;
+          justify-content: center;
+          gap: 0.125rem;
+        }
+
+        .details__star {
+          border-width: 0;
+          background: none;
+          cursor: pointer;
+          font-size: 1.5rem;
+          line-height: 1;
+          padding: 0.125rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.3);
+        }
+
+        .details__star[aria-checked="true"],
+        .details__star_filled {
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .details__review-form {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 0.5rem;
+          margin-top: 0.5rem;
+        }
+
+        .details__textarea {
+          width: 100%;
+          min-height: 4rem;
+          padding: 0.5rem 0.75rem;
+          border-width: 0;
+          border-radius: 6px;
+          resize: vertical;
+          font-family: Roboto, sans-serif;
+          font-size: 0.9rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 1);
+          background-color: rgba(var(--color-dark, 10, 10, 20), 0.05);
+          box-sizing: border-box;
+        }
+
+        .details__review-form .details__button {
+          width: auto;
+          height: 2.25rem;
+          padding: 0 1rem;
+        }
+
+        .details__shelves {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          gap: 0.25rem 1rem;
+          margin: 0 0 1rem;
+          padding: 0.75rem 0 0;
+          border-width: 1px 0 0;
+          border-style: solid;
+          border-color: rgba(var(--color-dark, 10, 10, 20), 0.1);
+          font-size: 0.85rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.8);
+        }
+
+        .details__shelves:empty {
+          display: none;
+        }
+
+        .details__shelf {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.25rem;
+          cursor: pointer;
+        }
+
+        .details__row {
+          display: flex;
+          gap: 0.5rem;
+          margin: 0 auto;
+          justify-content: center;
+        }
+
+        .details__related[hidden] {
+          display: none;
+        }
+
+        .details__heading {
+          margin: 1rem 0 0.5rem;
+          font-size: 0.9rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.8);
+        }
+
+        .details__related-list {
+          display: grid;
+          gap: 0.5rem;
+        }
+
+        .details__button {
+          font-family: Roboto, sans-serif;
+          transition: background-color 0.1s;
+          border-radius: 6px;
+          height: 2.75rem;
+          cursor: pointer;
+          width: 50%;
+          font-size: 1rem;
+          border: 1px solid rgba(var(--color-blue, 0, 150, 255), 1);
+          background-color: rgba(var(--color-blue, 0, 150, 255), 1);
+          color: rgba(var(--color-force-light, 255, 255, 255), 1);
+        }
+
+        .details__button:hover {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.8);
+        }
+
+        .details__button_secondary {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.1);
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .details__button_secondary:hover {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.2);
+        }
+      </style>
+
+      <div class="details__preview">
+        <img class="details__blur" data-blur alt="" />
+        <img class="details__image" data-image />
+      </div>
+
+      <div class="details__content">
+        <h3 class="details__title" data-title></h3>
+        <div class="details__data">
+          <button class="details__author" data-author></button>
+          <span data-year></span>
+        </div>
+        <div class="details__meta" data-pages></div>
+        <ul class="details__genres" data-genres></ul>
+        <p class="details__description" data-description></p>
+
+        <section class="details__review" data-review>
+          <div class="details__stars" data-stars role="radiogroup" aria-label="My rating">
+            ${[1, 2, 3, 4, 5].map(rating => `
+              <button
+                class="details__star"
+                data-rating="${rating}"
+                role="radio"
+                aria-label="${rating} ${rating === 1 ? 'star' : 'stars'}"
+              >★</button>
+            `).join('')}
+          </div>
+          <form class="details__review-form" data-review-form>
+            <textarea class="details__textarea" name="review" rows="3" maxlength="5000" placeholder="Write a review…" aria-label="My review"></textarea>
+            <button class="details__button details__button_secondary" type="submit">Save review</button>
+          </form>
+        </section>
+
+        <section class="details__progress" data-progress hidden>
+          <div class="details__bar"><div class="details__bar-fill" data-progress-fill></div></div>
+          <div class="details__meta" data-progress-text></div>
+          <form class="details__log" data-progress-form>
+            <label for="progress-page">Current page</label>
+            <input class="details__input" id="progress-page" name="page" type="number" min="0" required />
+            <button class="details__button details__button_secondary" type="submit">Log</button>
+          </form>
+          <div class="details__meta" data-progress-estimate></div>
+          <ol class="details__history" data-progress-history></ol>
+        </section>
+
+        <div class="details__shelves" data-shelves role="group" aria-label="Shelves"></div>
+
+        <section class="details__related" data-related hidden>
+          <h4 class="details__heading">More like this</h4>
+          <div class="details__related-list" data-related-list></div>
+        </section>
+      </div>
+
+      <div class="details__row">
+        <button class="details__button details__button_secondary" data-favourite></button>
+        <button class="details__button" data-close>Close</button>
+      </div>
+    `;
+
+    this.shadowRoot.querySelector('[data-close]').addEventListener('click', this.handleClose);
+    this.shadowRoot.querySelector('[data-author]').addEventListener('click', this.handleAuthor);
+    this.shadowRoot.querySelector('[data-favourite]').addEventListener('click', this.handleFavourite);
+    this.shadowRoot.querySelector('[data-shelves]').addEventListener('change', this.handleShelfChange);
+    this.shadowRoot.querySelector('[data-progress-form]').addEventListener('submit', this.handleProgressLog);
+    this.shadowRoot.querySelector('[data-stars]').addEventListener('click', this.handleRating);
+    this.shadowRoot.querySelector('[data-review-form]').addEventListener('submit', this.handleReviewSave);
+    this.renderFavourite();
+    this.renderReview();
+    if (!book) return;
+
+    // Text is assigned rather than templated so catalogue data is never parsed as HTML
+    const root = this.shadowRoot;
+    root.querySelector('[data-blur]').src = book.image;
+    root.querySelector('[data-image]').src = book.image;
+    root.querySelector('[data-image]').alt = `Cover for ${book.title}`;
+    root.querySelector('[data-title]').textContent = book.title;
+    root.querySelector('[data-author]').textContent = authors[book.author];
+    root.querySelector('[data-author]').setAttribute('aria-label', `More by ${authors[book.author]}`);
+    root.querySelector('[data-year]').textContent = `(${new Date(book.published).getFullYear()})`;
+    root.querySelector('[data-pages]').textContent = `${book.pages} pages`;
+    root.querySelector('[data-description]').textContent = book.description;
+
+    const genreList = root.querySelector('[data-genres]');
+    for (const id of book.genres) {
+      if (!genres[id]) continue;
+      const item = document.createElement('li');
+      item.className = 'details__genre';
+      item.textContent = genres[id];
+      genreList.appendChild(item);
+    }
+
+    this.renderProgress();
+    this.renderShelves();
+
+    this.renderRelated();
+  }
+
+  /**
+   * List the related books as compact previews
+   */
+  renderRelated() {
+    const section = this.shadowRoot.querySelector('[data-related]');
+    if (!section || !this._book) return;
+
+    // Compact previews dispatch their own preview-click when chosen
+    section.hidden = !this._related.length;
+    const relatedList = this.shadowRoot.querySelector('[data-related-list]');
+    relatedList.replaceChildren();
+    for (const related of this._related) {
+      const preview = this.createPreview(related);
+      preview.setAttribute('compact', '');
+      relatedList.appendChild(preview);
+    }
+  }
+}
+
+customElements.define('book-details', BookDetails);
+
+/**
+ * Author Profile Web Component
+ * A custom element listing every book by one author, oldest first, with
+ * totals, a genre breakdown and a publication timeline. Set the `author-id`
+ * attribute; each book is a compact `<book-preview>` made by the
+ * `createPreview` function.
+ */
+class AuthorProfile extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.createPreview = BookPreview.fromBook;
+    this.handleClose = this.handleClose.bind(this);
+  }
+
+  static get observedAttributes() {
+    return ['author-id'];
+  }
+
+  connectedCallback() {
+    this.render();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    this.render();
+  }
+
+  handleClose() {
+    this.dispatchEvent(new CustomEvent('author-close', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        authorId: this.getAttribute('author-id')
+      }
+    }));
+  }
+
+  render() {
+    const authorId = this.getAttribute('author-id');
+    const written = books
+      .filter(book => book.author === authorId)
+      .sort((a, b) => new Date(a.published) - new Date(b.published));
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          font-family: Roboto, sans-serif;
+        }
+
+        .author__content {
+          padding: 2rem 1.5rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.8);
+        }
+
+        .author__name {
+          margin: 0;
+          font-size: 1.25rem;
+          text-align: center;
+        }
+
+        .author__stats {
+          margin: 0.5rem 0 0;
+          font-size: 0.85rem;
+          text-align: center;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.6);
+        }
+
+        .author__heading {
+          margin: 1.5rem 0 0.5rem;
+          font-size: 0.9rem;
+        }
+
+        .author__genres,
+        .author__timeline {
+          margin: 0;
+          padding: 0;
+          list-style: none;
+        }
+
+        .author__genre {
+          display: grid;
+          grid-template-columns: 8rem 1fr 2rem;
+          align-items: center;
+          gap: 0.5rem;
+          font-size: 0.8rem;
+          margin-bottom: 0.25rem;
+        }
+
+        .author__bar {
+          height: 6px;
+          border-radius: 3px;
+          background: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .author__count {
+          text-align: right;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.6);
+        }
+
+        .author__entry {
+          display: grid;
+          grid-template-columns: 3rem 1fr;
+          align-items: center;
+          gap: 0.5rem;
+          padding-left: 0.5rem;
+          border-left: 2px solid rgba(var(--color-blue, 0, 150, 255), 0.3);
+          margin-bottom: 0.5rem;
+        }
+
+        .author__year {
+          font-size: 0.8rem;
+          font-weight: bold;
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .author__row {
+          display: flex;
+          justify-content: center;
+          padding: 0 1.5rem 1.5rem;
+        }
+
+        .author__button {
+          font-family: Roboto, sans-serif;
+          border-radius: 6px;
+          height: 2.75rem;
+          width: 50%;
+          cursor: pointer;
+          font-size: 1rem;
+          border: 1px solid rgba(var(--color-blue, 0, 150, 255), 1);
+          background-color: rgba(var(--color-blue, 0, 150, 255), 1);
+          color: rgba(var(--color-force-light, 255, 255, 255), 1);
+        }
+
+        .author__button:hover {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.8);
+        }
+      </style>
+
+      <div class="author__content">
+        <h3 class="author__name" data-name></h3>
+        <p class="author__stats" data-stats></p>
+
+        <h4 class="author__heading">Genres</h4>
+        <ul class="author__genres" data-genres></ul>
+
+        <h4 class="author__heading">Timeline</h4>
+        <ol class="author__timeline" data-timeline></ol>
+      </div>
+
+      <div class="author__row">
+        <button class="author__button" data-close>Close</button>
+      </div>
+    `;
+
+    this.shadowRoot.querySelector('[data-close]').addEventListener('click', this.handleClose);
+    if (!authorId || !authors[authorId]) return;
+
+    const root = this.shadowRoot;
+    const pages = written.reduce((total, book) => total + book.pages, 0);
+    const years = written.map(book => new Date(book.published).getFullYear());
+    const span = years.length && years[0] !== years[years.length - 1]
+      ? `${years[0]}–${years[years.length - 1]}`
+      : String(years[0] || '');
+
+    root.querySelector('[data-name]').textContent = authors[authorId];
+    root.querySelector('[data-stats]').textContent = [
+      `${written.length} ${written.length === 1 ? 'book' : 'books'}`,
+      `${pages.toLocaleString()} pages in total`,
+      span
+    ].filter(Boolean).join(' · ');
+
+    // Most frequent genres first
+    const counts = new Map();
+    for (const book of written) {
+      for (const id of new Set(book.genres)) {
+        if (genres[id]) counts.set(id, (counts.get(id) || 0) + 1);
+      }
+    }
+    const genreList = root.querySelector('[data-genres]');
+    for (const [id, count] of [...counts].sort((a, b) => b[1] - a[1])) {
+      const item = document.createElement('li');
+      item.className = 'author__genre';
+
+      const name = document.createElement('span');
+      name.textContent = genres[id];
+
+      const bar = document.createElement('div');
+      bar.className = 'author__bar';
+      bar.style.width = `${(count / written.length) * 100}%`;
+
+      const total = document.createElement('span');
+      total.className = 'author__count';
+      total.textContent = count;
+
+      item.append(name, bar, total);
+      genreList.appendChild(item);
+    }
+
+    const timeline = root.querySelector('[data-timeline]');
+    written.forEach((book, index) => {
+      const item = document.createElement('li');
+      item.className = 'author__entry';
+
+      const year = document.createElement('span');
+      year.className = 'author__year';
+      year.textContent = years[index];
+
+      const preview = this.createPreview(book);
+      preview.setAttribute('compact', '');
+
+      item.append(year, preview);
+      timeline.appendChild(item);
+    });
+  }
+}
+
+customElements.define('author-profile', AuthorProfile);
+
+/**
+ * Genre Browser Web Component
+ * A custom element showing every genre as a tag cloud sized by its number of
+ * books. Selecting a genre (the `selected` attribute) lists the genres it
+ * most often appears with; each can be applied as a search filter.
+ */
+class GenreBrowser extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  static get observedAttributes() {
+    return ['selected'];
+  }
+
+  connectedCallback() {
+    this.shadowRoot.addEventListener('click', this.handleClick);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.shadowRoot.removeEventListener('click', this.handleClick);
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    this.render();
+  }
+
+  handleClick(event) {
+    const tag = event.target.closest('[data-genre]');
+    const filter = event.target.closest('[data-filter]');
+    let type = null;
+    let detail = null;
+
+    if (tag) {
+      type = 'genre-select';
+      detail = { genreId: tag.dataset.genre };
+    } else if (filter) {
+      type = 'genre-filter';
+      detail = { genres: filter.dataset.filter.split(',') };
+    } else if (event.target.closest('[data-close]')) {
+      type = 'genres-close';
+      detail = {};
+    }
+    if (!type) return;
+
+    this.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      composed: true,
+      detail
+    }));
+  }
+
+  /**
+   * Count books per genre, and how often each pair of genres appears together
+   * @returns {Object} - Object containing counts (Map of genre ID to count) and
+   *   pairs (Map of genre ID to a Map of co-occurring genre ID to count)
+   */
+  countGenres() {
+    const counts = new Map(Object.keys(genres).map(id => [id, 0]));
+    const pairs = new Map();
+
+    for (const book of books) {
+      const ids = [...new Set(book.genres)].filter(id => counts.has(id));
+      for (const id of ids) {
+        counts.set(id, counts.get(id) + 1);
+        if (!pairs.has(id)) pairs.set(id, new Map());
+        for (const other of ids) {
+          if (other !== id) pairs.get(id).set(other, (pairs.get(id).get(other) || 0) + 1);
+        }
+      }
+    }
+
+    return { counts, pairs };
+  }
+
+  render() {
+    const selected = genres[this.getAttribute('selected')] ? this.getAttribute('selected') : null;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          font-family: Roboto, sans-serif;
+        }
+
+        .genres__content {
+          padding: 2rem 1.5rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.8);
+        }
+
+        .genres__title {
+          margin: 0 0 1rem;
+          font-size: 1.25rem;
+          text-align: center;
+        }
+
+        .genres__cloud {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          align-items: baseline;
+          gap: 0.25rem 0.75rem;
+          margin: 0;
+          padding: 0;
+          list-style: none;
+        }
+
+        .genres__tag {
+          padding: 0.125rem 0.25rem;
+          border-width: 0;
+          border-radius: 4px;
+          background: none;
+          cursor: pointer;
+          font-family: inherit;
+          line-height: 1.2;
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .genres__tag:hover,
+        .genres__tag[aria-pressed="true"] {
+          background: rgba(var(--color-blue, 0, 150, 255), 0.1);
+        }
+
+        .genres__tag[aria-pressed="true"] {
+          font-weight: bold;
+        }
+
+        .genres__count {
+          font-size: 0.75rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.4);
+        }
+
+        .genres__selected[hidden] {
+          display: none;
+        }
+
+        .genres__heading {
+          margin: 1.5rem 0 0.5rem;
+          font-size: 0.9rem;
+        }
+
+        .genres__related {
+          margin: 0;
+          padding: 0;
+          list-style: none;
+        }
+
+        .genres__pair {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          width: 100%;
+          padding: 0.375rem 0.5rem;
+          border-width: 0;
+          border-radius: 6px;
+          background: none;
+          cursor: pointer;
+          font-family: inherit;
+          font-size: 0.85rem;
+          text-align: left;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.8);
+        }
+
+        .genres__pair:hover {
+          background: rgba(var(--color-blue, 0, 150, 255), 0.1);
+        }
+
+        .genres__row {
+          display: flex;
+          justify-content: center;
+          gap: 0.5rem;
+          padding: 0 1.5rem 1.5rem;
+        }
+
+        .genres__button {
+          font-family: Roboto, sans-serif;
+          border-radius: 6px;
+          height: 2.75rem;
+          width: 50%;
+          cursor: pointer;
+          font-size: 1rem;
+          border: 1px solid rgba(var(--color-blue, 0, 150, 255), 1);
+          background-color: rgba(var(--color-blue, 0, 150, 255), 1);
+          color: rgba(var(--color-force-light, 255, 255, 255), 1);
+        }
+
+        .genres__button_secondary {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.1);
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+      </style>
+
+      <div class="genres__content">
+        <h3 class="genres__title">Genres</h3>
+        <ul class="genres__cloud" data-cloud></ul>
+
+        <section class="genres__selected" data-selected hidden>
+          <h4 class="genres__heading" data-selected-title></h4>
+          <ul class="genres__related" data-related></ul>
+        </section>
+      </div>
+
+      <div class="genres__row">
+        <button class="genres__button genres__button_secondary" data-close>Close</button>
+        <button class="genres__button" data-show hidden></button>
+      </div>
+    `;
+
+    const root = this.shadowRoot;
+    const { counts, pairs } = this.countGenres();
+    const max = Math.max(1, ...counts.values());
+
+    const cloud = root.querySelector('[data-cloud]');
+    const byName = [...counts].sort((a, b) => genres[a[0]].localeCompare(genres[b[0]]));
+    for (const [id, count] of byName) {
+      const item = document.createElement('li');
+      const tag = document.createElement('button');
+      tag.className = 'genres__tag';
+      tag.dataset.genre = id;
+      tag.setAttribute('aria-pressed', id === selected);
+      // Log scale keeps small genres readable next to very large ones
+      tag.style.fontSize = `${0.8 + (Math.log(count + 1) / Math.log(max + 1)) * 1.2}rem`;
+
+      const total = document.createElement('span');
+      total.className = 'genres__count';
+      total.textContent = ` (${count})`;
+
+      tag.append(genres[id], total);
+      item.appendChild(tag);
+      cloud.appendChild(item);
+    }
+
+    if (!selected) return;
+
+    const count = counts.get(selected);
+    root.querySelector('[data-selected]').hidden = false;
+    root.querySelector('[data-selected-title]').textContent = `Often found with ${genres[selected]}`;
+
+    const show = root.querySelector('[data-show]');
+    show.hidden = false;
+    show.dataset.filter = selected;
+    show.textContent = `Show ${count} ${count === 1 ? 'book' : 'books'}`;
+
+    const related = root.querySelector('[data-related]');
+    const together = [...(pairs.get(selected) || [])].sort((a, b) => b[1] - a[1]).slice(0, 10);
+    for (const [id, shared] of together) {
+      const item = document.createElement('li');
+      const pair = document.createElement('button');
+      pair.className = 'genres__pair';
+      pair.dataset.filter = `${selected},${id}`;
+      pair.setAttribute('aria-label', `Show ${shared} books in both ${genres[selected]} and ${genres[id]}`);
+
+      const name = document.createElement('span');
+      name.textContent = `${genres[selected]} + ${genres[id]}`;
+
+      const total = document.createElement('span');
+      total.className = 'genres__count';
+      total.textContent = `${shared} ${shared === 1 ? 'book' : 'books'} (${Math.round((shared / count) * 100)}%)`;
+
+      pair.append(name, total);
+      item.appendChild(pair);
+      related.appendChild(item);
+    }
+  }
+}
+
+customElements.define('genre-browser', GenreBrowser);
+
+/**
+ * Book Pagination Web Component
+ * A custom element offering "Show more", numbered pages, jump-to-page and
+ * "Show all remaining". Driven by the `total`, `page-size`, `page` and
+ * `start-page` attributes; reflects the `pages` and `remaining` counts.
+ */
+class BookPagination extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.handleClick = this.handleClick.bind(this);
+    this.handleJump = this.handleJump.bind(this);
+  }
+
+  static get observedAttributes() {
+    return ['total', 'page-size', 'page', 'start-page'];
+  }
+
+  get total() {
+    return Math.max(0, parseInt(this.getAttribute('total'), 10) || 0);
+  }
+
+  get pageSize() {
+    return Math.max(1, parseInt(this.getAttribute('page-size'), 10) || BOOKS_PER_PAGE);
+  }
+
+  get page() {
+    return Math.max(1, parseInt(this.getAttribute('page'), 10) || 1);
+  }
+
+  get startPage() {
+    return Math.min(this.page, Math.max(1, parseInt(this.getAttribute('start-page'), 10) || 1));
+  }
+
+  get pages() {
+    return Math.max(1, Math.ceil(this.total / this.pageSize));
+  }
+
+  get remaining() {
+    return Math.max(0, this.total - this.page * this.pageSize);
+  }
+
+  connectedCallback() {
+    this.render();
+    this.shadowRoot.addEventListener('click', this.handleClick);
+    this.shadowRoot.addEventListener('submit', this.handleJump);
+  }
+
+  disconnectedCallback() {
+    this.shadowRoot.removeEventListener('click', this.handleClick);
+    this.shadowRoot.removeEventListener('submit', this.handleJump);
+  }
+
+  attributeChangedCallback() {
+    this.render();
+  }
+
+  /**
+   * Dispatch a page change request
+   * @param {number} page - Requested page
+   * @param {string} action - 'more' to append the next page, 'all' to append
+   *   every remaining page, 'goto' to show only the given page
+   */
+  requestPage(page, action) {
+    this.dispatchEvent(new CustomEvent('page-change', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        page: Math.min(Math.max(1, page), this.pages),
+        action
+      }
+    }));
+  }
+
+  handleClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button || button.disabled) return;
+
+    const action = button.dataset.action;
+    if (action === 'more') this.requestPage(this.page + 1, 'more');
+    if (action === 'all') this.requestPage(this.pages, 'all');
+    if (action === 'goto') this.requestPage(Number(button.dataset.page), 'goto');
+  }
+
+  handleJump(event) {
+    event.preventDefault();
+    const page = parseInt(new FormData(event.target).get('page'), 10);
+    if (Number.isFinite(page)) this.requestPage(page, 'goto');
+  }
+
+  /**
+   * Page numbers to show: the first, the last and two either side of the
+   * visible range, with null marking a gap
+   * @returns {Array<number|null>} - Page numbers and gaps
+   */
+  pageNumbers() {
+    const numbers = [];
+    let previous = 0;
+
+    for (let page = 1; page <= this.pages; page++) {
+      const nearby = page >= this.startPage - 2 && page <= this.page + 2;
+      if (page !== 1 && page !== this.pages && !nearby) continue;
+
+      if (page - previous > 1) numbers.push(null);
+      numbers.push(page);
+      previous = page;
+    }
+
+    return numbers;
+  }
+
+  render() {
+    // Reflect the derived counts so they can be styled or read from outside
+    if (this.getAttribute('pages') !== String(this.pages)) {
+      this.setAttribute('pages', this.pages);
+    }
+    if (this.getAttribute('remaining') !== String(this.remaining)) {
+      this.setAttribute('remaining', this.remaining);
+    }
+
+    const done = this.remaining <= 0;
+    const numbers = this.pageNumbers()
+      .map(page => {
+        if (page === null) return '<span class="pagination__gap">…</span>';
+        const current = page >= this.startPage && page <= this.page;
+        return `
+          <button
+            class="pagination__page"
+            data-action="goto"
+            data-page="${page}"
+            ${current ? 'aria-current="page"' : ''}
+          >${page}</button>
+        `;
+      })
+      .join('');
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          font-family: Roboto, sans-serif;
+        }
+
+        :host([hidden]) {
+          display: none;
+        }
+
+        :host([total="0"]) {
+          display: none;
+        }
+
+        .pagination {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 1rem;
+        }
+
+        .pagination__row {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          align-items: center;
+          gap: 0.5rem;
+        }
+
+        .pagination__more {
+          font-family: Roboto, sans-serif;
+          transition: background-color 0.1s;
+          border-radius: 6px;
+          height: 2.75rem;
+          cursor: pointer;
+          min-width: 10rem;
+          background-color: rgba(var(--color-blue, 0, 150, 255), 1);
+          color: rgba(var(--color-force-light, 255, 255, 255), 1);
+          font-size: 1rem;
+          border: 1px solid rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .pagination__more:not(:disabled):hover {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.8);
+        }
+
+        .pagination__remaining {
+          opacity: 0.5;
+        }
+
+        .pagination__page,
+        .pagination__secondary {
+          font-family: Roboto, sans-serif;
+          min-width: 2.25rem;
+          height: 2.25rem;
+          padding: 0 0.5rem;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 0.9rem;
+          border: 1px solid rgba(var(--color-blue, 0, 150, 255), 1);
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.1);
+          color: rgba(var(--color-blue, 0, 150, 255), 1);
+        }
+
+        .pagination__page:hover,
+        .pagination__secondary:not(:disabled):hover {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 0.2);
+        }
+
+        .pagination__page[aria-current] {
+          background-color: rgba(var(--color-blue, 0, 150, 255), 1);
+          color: rgba(var(--color-force-light, 255, 255, 255), 1);
+        }
+
+        .pagination__gap {
+          color: rgba(var(--color-dark, 10, 10, 20), 0.4);
+        }
+
+        .pagination__jump {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          font-size: 0.9rem;
+          color: rgba(var(--color-dark, 10, 10, 20), 0.6);
+        }
+
+        .pagination__input {
+          width: 4.5rem;
+          height: 2.25rem;
+          padding: 0 0.5rem;
+          border-width: 0;
+          border-radius: 6px;
+          font-family: Roboto, sans-serif;
+          color: rgba(var(--color-dark, 10, 10, 20), 1);
+          background-color: rgba(var(--color-dark, 10, 10, 20), 0.05);
+        }
+
+        button:disabled {
+          cursor: not-allowed;
+          opacity: 0.2;
+        }
+      </style>
+
+      <div class="pagination">
+        <button class="pagination__more" data-action="more" ${done ? 'disabled' : ''}>
+          <span>Show more</span>
+          <span class="pagination__remaining"> (${this.remaining})</span>
+        </button>
+
+        <div class="pagination__row">
+          ${numbers}
+        </div>
+
+        <div class="pagination__row">
+          <form class="pagination__jump">
+            <label for="jump">Go to page</label>
+            <input class="pagination__input" id="jump" name="page" type="number" min="1" max="${this.pages}" required />
+            <button class="pagination__secondary" type="submit">Go</button>
+          </form>
+
+          <button class="pagination__secondary" data-action="all" ${done ? 'disabled' : ''}>
+            Show all remaining
+          </button>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('book-pagination', BookPagination);
+
+/**
+ * Book Connect Application
+ * A modular application for browsing and searching books.
+ * Refactored to use Web Components for book previews.
+ */
+const BookConnect = {
+  /**
+   * State management for the application
+   */
+  state: {
+    startPage: 1,
+    page: 1,
+    filters: { ...DEFAULT_FILTERS },
+    filtered: books,
+    matches: books,
+    sort: 'relevance',
+    view: 'all',
+    favourites: new Set(),
+    shelves: [],
+    progress: {},
+    reviews: {},
+    routePushed: false,
+    currentTheme: 'day',
+    scrollMode: 'button',
+    mounted: { start: 0, end: 0, offsetTop: 0 },
+    grid: null,
+    virtualUpdatePending: false
+  },
+
+  /**
+   * Inverted index over titles and descriptions, built once in init()
+   */
+  searchIndex: null,
+
+  /**
+   * Title words and their counts for "did you mean" suggestions, built on first use
+   */
+  vocabulary: null,
+
+  /**
+   * Books keyed by normalized title for matching imports, built on first use
+   */
+  titleLookup: null,
+
+  /**
+   * Watches the end of the list to load more books in infinite scroll mode
+   */
+  scrollObserver: null,
+
+  /**
+   * DOM element selectors used throughout the application
+   */
+  selectors: {
+    listItems: '[data-list-items]',
+    listSort: '[data-list-sort]',
+    listView: '[data-list-view]',
+    listExport: '[data-list-export]',
+    listFilters: '[data-list-filters]',
+    headerShelves: '[data-header-shelves]',
+    shelvesOverlay: '[data-shelves-overlay]',
+    shelvesList: '[data-shelves-list]',
+    shelvesForm: '[data-shelves-form]',
+    shelvesClose: '[data-shelves-close]',
+    shelvesImport: '[data-shelves-import]',
+    shelvesReport: '[data-shelves-report]',
+    search: '[data-search]',
+    settingsTheme: '[data-settings-theme]',
+    settingsScroll: '[data-settings-scroll]',
+    listSentinel: '[data-list-sentinel]',
+    listPagination: '[data-list-pagination]',
+    listMessage: '[data-list-message]',
+    listSuggestions: '[data-list-suggestions]',
+    searchOverlay: '[data-search-overlay]',
+    settingsOverlay: '[data-settings-overlay]',
+    listActive: '[data-list-active]',
+    listDetails: '[data-list-details]',
+    authorOverlay: '[data-author-overlay]',
+    headerGenres: '[data-header-genres]',
+    genresOverlay: '[data-genres-overlay]',
+    genresBrowser: '[data-genres-browser]',
+    authorProfile: '[data-author-profile]',
+    settingsCancel: '[data-settings-cancel]',
+    headerSearch: '[data-header-search]',
+    headerSettings: '[data-header-settings]',
+    settingsForm: '[data-settings-form]'
+  },
+
+  /**
+   * Initialize the application
+   */
+  init() {
+    this.loadFavourites();
+    this.loadShelves();
+    this.loadProgress();
+    this.loadReviews();
+    this.buildSearchIndex();
+    this.renderViewOptions();
+    this.renderSortOptions();
+    this.populateFilterOptions();
+    this.setupPreviewFactories();
+    this.setInitialTheme();
+    this.setupInfiniteScroll();
+    this.setScrollMode(this.state.scrollMode);
+    this.setupEventListeners();
+    this.restoreFromUrl();
+    this.handleRoute();
+  },
+
+  /**
+   * Create a book preview using the Web Component
+   * @param {Object} book - Book object containing author, id, image, title
+   * @returns {HTMLElement} - BookPreview Web Component
+   */
+  createBookPreview(book) {
+    const element = BookPreview.fromBook(book);
+    this.applyPreviewState(element, book.id);
+    
+    return element;
+  },
+
+  /**
+   * Have the details and author overlays build their previews like the list,
+   * so they show the same ratings and reading progress
+   */
+  setupPreviewFactories() {
+    const createPreview = book => this.createBookPreview(book);
+    document.querySelector(this.selectors.listDetails).createPreview = createPreview;
+    document.querySelector(this.selectors.authorProfile).createPreview = createPreview;
+  },
+
+  /**
+   * Set the per-user attributes (favourite, reading progress) on a preview
+   * @param {HTMLElement} element - BookPreview element
+   * @param {string} id - Book ID
+   */
+  applyPreviewState(element, id) {
+    element.toggleAttribute('favourite', this.state.favourites.has(id));
+
+    const rating = this.ratingOf(id);
+    if (rating) {
+      element.setAttribute('rating', rating);
+    } else {
+      element.removeAttribute('rating');
+    }
+
+    const progress = this.progressFor(id);
+    if (progress) {
+      element.setAttribute('progress', progress.percent);
+    } else {
+      element.removeAttribute('progress');
+    }
+  },
+
+  /**
+   * Refresh the per-user attributes of every mounted preview of a book
+   * @param {string} id - Book ID
+   */
+  updatePreviews(id) {
+    for (const preview of document.querySelectorAll('book-preview')) {
+      if (preview.getAttribute('id') === id) {
+        this.applyPreviewState(preview, id);
+      }
+    }
+  },
+
+  /**
+   * Render books to the page based on current state
+   * Pages from startPage to page are loaded; for large lists only the rows
+   * near the viewport are actually mounted (see updateVirtualWindow).
+   */
+  renderBooks() {
+    this.updateVirtualWindow();
+  },
+
+  /**
+   * Clear the current book list and render fresh
+   */
+  refreshBookList() {
+    const list = document.querySelector(this.selectors.listItems);
+    list.innerHTML = '';
+    // measureGrid reads the padding, so the old window's offsets must go with it
+    list.style.setProperty('--list-offset-top', '0px');
+    list.style.setProperty('--list-offset-bottom', '0px');
+    const { start } = this.loadedRange();
+    this.state.mounted = { start, end: start, offsetTop: 0 };
+    this.renderBooks();
+  },
+
+  /**
+   * Indexes into state.matches of the books on the loaded pages
+   * @returns {Object} - Object containing start (inclusive) and end (exclusive)
+   */
+  loadedRange() {
+    const start = (this.state.startPage - 1) * BOOKS_PER_PAGE;
+    const end = Math.min(this.state.matches.length, this.state.page * BOOKS_PER_PAGE);
+    return { start, end: Math.max(start, end) };
+  },
+
+  /**
+   * Measure the list grid: columns, row height and where row 0 starts
+   * Falls back to the last measurement when no preview is mounted.
+   * @returns {Object|null} - Object containing columns, rowHeight and top, or null if unknown
+   */
+  measureGrid() {
+    const list = document.querySelector(this.selectors.listItems);
+    const style = window.getComputedStyle(list);
+    const first = list.firstElementChild;
+
+    if (first && first.offsetHeight > 0) {
+      this.state.grid = {
+        columns: Math.max(1, style.gridTemplateColumns.split(' ').length),
+        rowHeight: first.offsetHeight + (parseFloat(style.rowGap) || 0)
+      };
+    }
+    if (!this.state.grid) return null;
+
+    // Row 0 starts above the mounted rows by the current top offset
+    const top = list.getBoundingClientRect().top + parseFloat(style.paddingTop) -
+      this.state.mounted.offsetTop;
+
+    return { ...this.state.grid, top };
+  },
+
+  /**
+   * Mount the previews for the visible part of the loaded pages
+   * Previews outside the window are removed and replaced by padding so the
+   * scroll height stays the same. Previews that remain in the window are
+   * never moved, so focus is kept while scrolling.
+   */
+  updateVirtualWindow() {
+    const loaded = this.loadedRange();
+    const count = loaded.end - loaded.start;
+    const grid = count > VIRTUAL_THRESHOLD ? this.measureGrid() : null;
+    let start = loaded.start;
+    let end = loaded.end;
+    let offsetTop = 0;
+    let offsetBottom = 0;
+
+    if (grid) {
+      const { columns, rowHeight, top } = grid;
+      const rows = Math.ceil(count / columns);
+      const firstRow = Math.min(rows, Math.max(0,
+        Math.floor(-top / rowHeight) - VIRTUAL_OVERSCAN_ROWS));
+      const lastRow = Math.min(rows, Math.max(firstRow,
+        Math.ceil((window.innerHeight - top) / rowHeight) + VIRTUAL_OVERSCAN_ROWS));
+
+      start = loaded.start + firstRow * columns;
+      end = Math.min(loaded.end, loaded.start + lastRow * columns);
+      offsetTop = firstRow * rowHeight;
+      offsetBottom = (rows - lastRow) * rowHeight;
+    }
+
+    this.mountRange(start, end);
+
+    const list = document.querySelector(this.selectors.listItems);
+    this.state.mounted.offsetTop = offsetTop;
+    list.style.setProperty('--list-offset-top', `${offsetTop}px`);
+    list.style.setProperty('--list-offset-bottom', `${offsetBottom}px`);
+  },
+
+  /**
+   * Make exactly the previews from start to end mounted, in order
+   * @param {number} start - First index into state.matches (inclusive)
+   * @param {number} end - Last index into state.matches (exclusive)
+   */
+  mountRange(start, end) {
+    const list = document.querySelector(this.selectors.listItems);
+    const mounted = this.state.mounted;
+    const createRange = (from, to) => {
+      const fragment = document.createDocumentFragment();
+      for (const book of this.state.matches.slice(from, to)) {
+        fragment.appendChild(this.createBookPreview(book));
+      }
+      return fragment;
+    };
+
+    if (end <= mounted.start || start >= mounted.end) {
+      list.innerHTML = '';
+      list.appendChild(createRange(start, end));
+    } else {
+      for (let index = mounted.start; index < start; index++) list.firstElementChild.remove();
+      for (let index = end; index < mounted.end; index++) list.lastElementChild.remove();
+      if (start < mounted.start) list.prepend(createRange(start, mounted.start));
+      if (end > mounted.end) list.appendChild(createRange(mounted.end, end));
+    }
+
+    this.state.mounted = { ...mounted, start, end };
+  },
+
+  /**
+   * Update the virtual window at most once per animation frame
+   */
+  scheduleVirtualUpdate() {
+    if (this.state.virtualUpdatePending) return;
+    this.state.virtualUpdatePending = true;
+
+    window.requestAnimationFrame(() => {
+      this.state.virtualUpdatePending = false;
+      this.updateVirtualWindow();
+    });
+  },
+
+  /**
+   * Move keyboard focus to a loaded preview, mounting it first if needed
+   * @param {number} index - Index into state.matches
+   */
+  focusPreview(index) {
+    const loaded = this.loadedRange();
+    if (index < loaded.start || index >= loaded.end) return;
+
+    const { mounted } = this.state;
+    if (index < mounted.start || index >= mounted.end) {
+      const grid = this.measureGrid();
+      if (grid) {
+        // Scroll the preview's row into the middle of the viewport
+        const row = Math.floor((index - loaded.start) / grid.columns);
+        window.scrollBy(0, grid.top + row * grid.rowHeight - window.innerHeight / 2);
+      }
+      this.updateVirtualWindow();
+    }
+
+    const list = document.querySelector(this.selectors.listItems);
+    const element = list.children[index - this.state.mounted.start];
+    if (element) element.focus();
+  },
+
+  /**
+   * Arrow keys, Home and End move focus between previews
+   * @param {KeyboardEvent} event - Keydown event from the list
+   */
+  handleListKeydown(event) {
+    const preview = event.target.closest && event.target.closest('book-preview');
+    if (!preview) return;
+
+    const list = document.querySelector(this.selectors.listItems);
+    const index = this.state.mounted.start + Array.prototype.indexOf.call(list.children, preview);
+    // Measure rather than use the cache: small lists are never measured for the virtual window
+    const grid = this.measureGrid();
+    const columns = grid ? grid.columns : 1;
+    const loaded = this.loadedRange();
+    const targets = {
+      ArrowRight: index + 1,
+      ArrowLeft: index - 1,
+      ArrowDown: index + columns,
+      ArrowUp: index - columns,
+      Home: loaded.start,
+      End: loaded.end - 1
+    };
+
+    if (!(event.key in targets)) return;
+    event.preventDefault();
+    this.focusPreview(Math.min(loaded.end - 1, Math.max(loaded.start, targets[event.key])));
+  },
+
+  /**
+   * Give the search form the genre and author options
+   */
+  populateFilterOptions() {
+    const search = document.querySelector(this.selectors.search);
+    search.genres = genres;
+    search.authors = authors;
+  },
+
+  /**
+   * Set theme based on user preference
+   * @param {string} theme - Theme to set ('day' or 'night')
+   */
+  setTheme(theme) {
+    this.state.currentTheme = theme;
+    
+    if (theme === 'night') {
+      document.documentElement.style.setProperty('--color-dark', '255, 255, 255');
+      document.documentElement.style.setProperty('--color-light', '10, 10, 20');
+    } else {
+      document.documentElement.style.setProperty('--color-dark', '10, 10, 20');
+      document.documentElement.style.setProperty('--color-light', '255, 255, 255');
+    }
+    
+    document.querySelector(this.selectors.settingsTheme).value = theme;
+  },
+
+  /**
+   * Set initial theme based on system preference
+   */
+  setInitialTheme() {
+    const prefersDarkMode = window.matchMedia && 
+      window.matchMedia('(prefers-color-scheme: dark)').matches;
+    
+    this.setTheme(prefersDarkMode ? 'night' : 'day');
+  },
+
+  /**
+   * Create the observer that loads the next page when the end of the list
+   * scrolls into view
+   */
+  setupInfiniteScroll() {
+    if (!('IntersectionObserver' in window)) return;
+
+    this.scrollObserver = new IntersectionObserver((entries) => {
+      const visible = entries.some(entry => entry.isIntersecting);
+      const remaining = this.state.matches.length - this.state.page * BOOKS_PER_PAGE;
+      if (!visible || this.state.scrollMode !== 'infinite' || remaining <= 0) return;
+
+      this.changePage(this.state.page + 1, 'more');
+
+      // Re-observe so a sentinel that is still on screen triggers another batch
+      const sentinel = document.querySelector(this.selectors.listSentinel);
+      this.scrollObserver.unobserve(sentinel);
+      this.scrollObserver.observe(sentinel);
+    }, { rootMargin: '0px 0px 400px 0px' });
+  },
+
+  /**
+   * Switch between the pagination controls and infinite scrolling
+   * @param {string} mode - 'button' or 'infinite'
+   */
+  setScrollMode(mode) {
+    // Without IntersectionObserver support infinite scrolling cannot work
+    this.state.scrollMode = mode === 'infinite' && this.scrollObserver ? 'infinite' : 'button';
+    document.querySelector(this.selectors.settingsScroll).value = this.state.scrollMode;
+
+    const infinite = this.state.scrollMode === 'infinite';
+    document.querySelector(this.selectors.listPagination).hidden = infinite;
+
+    if (!this.scrollObserver) return;
+    const sentinel = document.querySelector(this.selectors.listSentinel);
+    if (infinite) {
+      this.scrollObserver.observe(sentinel);
+    } else {
+      this.scrollObserver.unobserve(sentinel);
+    }
+  },
+
+  /**
+   * Update the pagination component with the current counts and pages
+   */
+  updatePagination() {
+    const pagination = document.querySelector(this.selectors.listPagination);
+    pagination.setAttribute('total', this.state.matches.length);
+    pagination.setAttribute('page-size', BOOKS_PER_PAGE);
+    pagination.setAttribute('page', this.state.page);
+    pagination.setAttribute('start-page', this.state.startPage);
+  },
+
+  /**
+   * Handle a page change requested by the pagination component
+   * @param {number} page - Requested page
+   * @param {string} action - 'more', 'all' or 'goto' (see BookPagination)
+   */
+  changePage(page, action) {
+    if (action === 'goto') {
+      this.showPage(page);
+      document.querySelector(this.selectors.listItems).scrollIntoView({ behavior: 'smooth' });
+    } else {
+      this.showUpToPage(action === 'more' ? this.state.page + 1 : page);
+    }
+
+    this.updatePagination();
+    this.updateUrl();
+  },
+
+  /**
+   * Normalize text for comparison: lowercase, strip accents and punctuation
+   * @param {string} text - Text to normalize
+   * @returns {string} - Normalized text
+   */
+  normalizeText(text) {
+    return String(text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/['’]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Calculate the Levenshtein edit distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Number of single-character edits needed
+   */
+  editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  },
+
+  /**
+   * Build the set of character trigrams for a string
+   * @param {string} text - Normalized text
+   * @returns {Set<string>} - Trigrams, padded so short words still produce some
+   */
+  trigrams(text) {
+    const padded = `  ${text} `;
+    const result = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+      result.add(padded.slice(i, i + 3));
+    }
+    return result;
+  },
+
+  /**
+   * Score how closely a title matches a search query
+   * Combines per-word edit distance with trigram overlap so that small
+   * typos ("hitchikers", "harry poter") still rank the intended book highly.
+   * @param {string} query - Normalized search query
+   * @param {string} title - Book title
+   * @returns {number} - Score between 0 (no match) and 1 (exact substring)
+   */
+  fuzzyTitleScore(query, title) {
+    const normalizedTitle = this.normalizeText(title);
+    if (normalizedTitle.includes(query)) return 1;
+
+    const titleWords = normalizedTitle.split(' ');
+    const queryWords = query.split(' ');
+
+    // Each query word is matched against its closest word in the title
+    let wordScore = 0;
+    for (const queryWord of queryWords) {
+      let best = 0;
+      for (const titleWord of titleWords) {
+        const longest = Math.max(queryWord.length, titleWord.length);
+        const similarity = 1 - this.editDistance(queryWord, titleWord) / longest;
+        // Allow a partially typed word to match the start of a title word
+        const prefix = titleWord.startsWith(queryWord) && queryWord.length >= 3 ? 0.9 : 0;
+        best = Math.max(best, similarity, prefix);
+      }
+      wordScore += best;
+    }
+    wordScore /= queryWords.length;
+
+    // Trigram Dice coefficient catches joined or split words
+    const queryGrams = this.trigrams(query);
+    const titleGrams = this.trigrams(normalizedTitle);
+    let shared = 0;
+    for (const gram of queryGrams) {
+      if (titleGrams.has(gram)) shared += 1;
+    }
+    const gramScore = (2 * shared) / (queryGrams.size + titleGrams.size);
+
+    return Math.max(wordScore, gramScore) * 0.99;
+  },
+
+  /**
+   * Reduce simple plurals to their singular so "oysters" finds "oyster"
+   * @param {string} term - Normalized term
+   * @returns {string} - Stemmed term
+   */
+  stem(term) {
+    if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+    if (term.length > 3 && term.endsWith('s') && !/(ss|us|is)$/.test(term)) return term.slice(0, -1);
+    return term;
+  },
+
+  /**
+   * Split text into searchable terms, dropping stop words
+   * @param {string} text - Raw text
+   * @returns {Array<string>} - Normalized, stemmed terms
+   */
+  tokenize(text) {
+    return this.normalizeText(text)
+      .split(' ')
+      .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+      .map(term => this.stem(term));
+  },
+
+  /**
+   * Build the inverted index used for full-text search
+   * Maps each term to the books containing it and how often it appears.
+   */
+  buildSearchIndex() {
+    const postings = new Map();
+    const lengths = new Map();
+    const vectors = new Map();
+    let totalLength = 0;
+
+    for (const book of books) {
+      const frequencies = new Map();
+      const titleTerms = this.tokenize(book.title);
+      const descriptionTerms = this.tokenize(book.description || '');
+
+      for (const term of titleTerms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + TITLE_WEIGHT);
+      }
+      for (const term of descriptionTerms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+
+      for (const [term, frequency] of frequencies) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        postings.get(term).set(book.id, frequency);
+      }
+
+      const length = titleTerms.length * TITLE_WEIGHT + descriptionTerms.length;
+      lengths.set(book.id, length);
+      vectors.set(book.id, frequencies);
+      totalLength += length;
+    }
+
+    this.searchIndex = {
+      postings,
+      lengths,
+      vectors,
+      weights: new Map(),
+      averageLength: books.length ? totalLength / books.length : 0
+    };
+  },
+
+  /**
+   * Score every book against a query using BM25
+   * @param {string} text - Search query
+   * @returns {Map<string, number>} - Scores keyed by book id, only books with a match
+   */
+  fullTextScores(text) {
+    if (!this.searchIndex) this.buildSearchIndex();
+
+    const { postings, lengths, averageLength } = this.searchIndex;
+    const scores = new Map();
+
+    for (const term of new Set(this.tokenize(text))) {
+      const matches = postings.get(term);
+      if (!matches) continue;
+
+      const idf = Math.log(1 + (books.length - matches.size + 0.5) / (matches.size + 0.5));
+
+      for (const [id, frequency] of matches) {
+        const norm = 1 - BM25_B + BM25_B * (lengths.get(id) / averageLength);
+        const score = idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm);
+        scores.set(id, (scores.get(id) || 0) + score);
+      }
+    }
+
+    return scores;
+  },
+
+  /**
+   * TF-IDF weights of a book's title and description terms, cached after the first call
+   * @param {string} id - Book ID
+   * @returns {Object} - Object containing weights (Map of term to weight) and norm
+   */
+  termWeights(id) {
+    if (!this.searchIndex) this.buildSearchIndex();
+
+    const { postings, vectors, weights: cache } = this.searchIndex;
+    if (cache.has(id)) return cache.get(id);
+
+    const weights = new Map();
+    let sum = 0;
+    for (const [term, frequency] of vectors.get(id) || []) {
+      const weight = frequency * Math.log(books.length / postings.get(term).size);
+      weights.set(term, weight);
+      sum += weight * weight;
+    }
+
+    const result = { weights, norm: Math.sqrt(sum) };
+    cache.set(id, result);
+    return result;
+  },
+
+  /**
+   * Cosine similarity between the title and description terms of two books
+   * @param {string} a - First book ID
+   * @param {string} b - Second book ID
+   * @returns {number} - Similarity between 0 and 1
+   */
+  descriptionSimilarity(a, b) {
+    const first = this.termWeights(a);
+    const second = this.termWeights(b);
+    if (!first.norm || !second.norm) return 0;
+
+    let dot = 0;
+    for (const [term, weight] of first.weights) {
+      const other = second.weights.get(term);
+      if (other) dot += weight * other;
+    }
+    return dot / (first.norm * second.norm);
+  },
+
+  /**
+   * Rank other books by how alike they are to a book
+   * Combines genre overlap (Jaccard), same author and description similarity.
+   * @param {Object} book - Book to find related books for
+   * @param {number} limit - Maximum number of books to return
+   * @returns {Array} - Related books, most similar first
+   */
+  relatedBooks(book, limit = RELATED_LIMIT) {
+    const ownGenres = new Set(book.genres);
+    const scored = [];
+
+    for (const other of books) {
+      if (other.id === book.id) continue;
+
+      const shared = other.genres.filter(id => ownGenres.has(id)).length;
+      const union = ownGenres.size + new Set(other.genres).size - shared;
+      const score =
+        RELATED_WEIGHTS.genres * (union ? shared / union : 0) +
+        RELATED_WEIGHTS.author * (other.author === book.author ? 1 : 0) +
+        RELATED_WEIGHTS.description * this.descriptionSimilarity(book.id, other.id);
+
+      if (score > 0) scored.push({ book: other, score });
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ book: related }) => related);
+  },
+
+  /**
+   * Parse a numeric range bound from a form value
+   * @param {string|number} value - Raw value, possibly empty
+   * @param {number} fallback - Value to use when no bound is given
+   * @returns {number} - Parsed bound
+   */
+  parseBound(value, fallback) {
+    if (value === undefined || value === null || String(value).trim() === '') return fallback;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : fallback;
+  },
+
+  /**
+   * Filter books based on search criteria
+   * When a title is given, results are ranked by how closely the title
+   * matches, tolerating small typos. With `scope` set to 'fulltext' the
+   * query is matched against titles and descriptions and ranked by relevance.
+   * Year and page ranges are inclusive; an empty bound is ignored.
+   * `minRating` keeps only books the user rated at least that many stars.
+   * @param {Object} filters - Object containing title, scope, author, genres, genreMode,
+   *   publishedFrom, publishedTo, pagesMin, pagesMax and minRating filters
+   * @returns {Array} - Filtered books
+   */
+  filterBooks(filters) {
+    const query = this.normalizeText(filters.title || '');
+    const selectedGenres = filters.genres || [];
+    const publishedFrom = this.parseBound(filters.publishedFrom, -Infinity);
+    const publishedTo = this.parseBound(filters.publishedTo, Infinity);
+    const pagesMin = this.parseBound(filters.pagesMin, -Infinity);
+    const pagesMax = this.parseBound(filters.pagesMax, Infinity);
+    const minRating = this.parseBound(filters.minRating, 0);
+    const fullText = filters.scope === 'fulltext';
+    const scores = fullText && query !== '' ? this.fullTextScores(query) : new Map();
+
+    const result = books.filter(book => {
+      // Check if title (or, in full-text mode, title and description) matches
+      let titleMatch = query === '';
+      if (!titleMatch && fullText) {
+        titleMatch = scores.has(book.id);
+      } else if (!titleMatch) {
+        const score = this.fuzzyTitleScore(query, book.title);
+        titleMatch = score >= FUZZY_MATCH_THRESHOLD;
+        scores.set(book.id, score);
+      }
+
+      // Check if author matches
+      const authorMatch = filters.author === 'any' || book.author === filters.author;
+
+      // Check genres: 'all' requires every selected genre, otherwise any one will do
+      const genreMatch = selectedGenres.length === 0 || (
+        filters.genreMode === 'all'
+          ? selectedGenres.every(genre => book.genres.includes(genre))
+          : selectedGenres.some(genre => book.genres.includes(genre))
+      );
+
+      // Check publication year and page count ranges
+      const year = new Date(book.published).getFullYear();
+      const publishedMatch = year >= publishedFrom && year <= publishedTo;
+      const pagesMatch = book.pages >= pagesMin && book.pages <= pagesMax;
+
+      // Check the user's own rating
+      const ratingMatch = minRating <= 0 || this.ratingOf(book.id) >= minRating;
+
+      return titleMatch && authorMatch && genreMatch && publishedMatch && pagesMatch && ratingMatch;
+    });
+
+    // Best matches first; ties keep catalogue order
+    if (query !== '') {
+      result.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    }
+
+    return result;
+  },
+
+  /**
+   * Count how many books each genre and author option would give, keeping
+   * every other filter and the current view
+   * A genre's count is the number of results with that genre added to the
+   * selection; an author's is the number of results with that author chosen.
+   * @param {Object} filters - Filters as used by filterBooks
+   * @returns {Object} - Object containing genres and authors, each mapping an ID to a count
+   */
+  facetCounts(filters) {
+    const base = this.applyView(this.filterBooks({ ...filters, genres: [], author: 'any' }));
+    const selected = filters.genres || [];
+    const all = filters.genreMode === 'all';
+    const genreCounts = {};
+    const authorCounts = {};
+    // In 'any' mode, books that already match stay in the results whichever genre is added
+    let alreadyMatching = 0;
+
+    for (const book of base) {
+      const genreMatch = selected.length === 0 || (
+        all
+          ? selected.every(genre => book.genres.includes(genre))
+          : selected.some(genre => book.genres.includes(genre))
+      );
+
+      if (genreMatch) {
+        authorCounts[book.author] = (authorCounts[book.author] || 0) + 1;
+      }
+      if (filters.author !== 'any' && book.author !== filters.author) continue;
+
+      if (!all && selected.length && genreMatch) {
+        alreadyMatching += 1;
+      } else if (!all || genreMatch) {
+        for (const genre of new Set(book.genres)) {
+          genreCounts[genre] = (genreCounts[genre] || 0) + 1;
+        }
+      }
+    }
+
+    if (alreadyMatching) {
+      for (const id of Object.keys(genres)) {
+        genreCounts[id] = (genreCounts[id] || 0) + alreadyMatching;
+      }
+    }
+
+    return { genres: genreCounts, authors: authorCounts };
+  },
+
+  /**
+   * Titles and author names starting with, or containing a word starting
+   * with, the typed text
+   * Titles that start with the text come first, then the most popular.
+   * @param {string} query - Text typed so far
+   * @param {number} limit - Maximum number of titles; up to half as many authors are added
+   * @returns {Array} - Objects containing type ('title' or 'author'), id, label and detail
+   */
+  autocomplete(query, limit = 6) {
+    const text = this.normalizeText(query);
+    if (text.length < 2) return [];
+
+    const rank = (value) => {
+      const normalized = this.normalizeText(value);
+      if (normalized.startsWith(text)) return 2;
+      return normalized.includes(` ${text}`) ? 1 : 0;
+    };
+
+    const titles = books
+      .map(book => ({ book, rank: rank(book.title) }))
+      .filter(({ rank: value }) => value > 0)
+      .sort((a, b) => b.rank - a.rank || b.book.popularity - a.book.popularity)
+      .slice(0, limit)
+      .map(({ book }) => ({ type: 'title', id: book.id, label: book.title, detail: authors[book.author] }));
+
+    const names = Object.entries(authors)
+      .map(([id, name]) => ({ id, name, rank: rank(name) }))
+      .filter(({ rank: value }) => value > 0)
+      .sort((a, b) => b.rank - a.rank || a.name.localeCompare(b.name))
+      .slice(0, Math.ceil(limit / 2))
+      .map(({ id, name }) => ({ type: 'author', id, label: name, detail: 'Author' }));
+
+    return [...titles, ...names];
+  },
+
+  /**
+   * Comparators for each sort option
+   * 'relevance' keeps the order produced by filterBooks.
+   */
+  sorters: {
+    relevance: null,
+    popularity: (a, b) => b.popularity - a.popularity,
+    newest: (a, b) => new Date(b.published) - new Date(a.published),
+    oldest: (a, b) => new Date(a.published) - new Date(b.published),
+    shortest: (a, b) => a.pages - b.pages,
+    longest: (a, b) => b.pages - a.pages,
+    title: (a, b) => a.title.localeCompare(b.title),
+    author: (a, b) => (authors[a.author] || '').localeCompare(authors[b.author] || ''),
+    rating: (a, b) => BookConnect.ratingOf(b.id) - BookConnect.ratingOf(a.id)
+  },
+
+  /**
+   * Sort a list of books without modifying it
+   * @param {Array} list - Books to sort
+   * @param {string} sort - Key of the sorters map
+   * @returns {Array} - Sorted copy of the list
+   */
+  sortBooks(list, sort) {
+    const comparator = this.sorters[sort];
+    return comparator ? [...list].sort(comparator) : [...list];
+  },
+
+  /**
+   * Change the sort order, keep both sort selectors in sync and re-render
+   * @param {string} sort - Key of the sorters map
+   */
+  setSort(sort) {
+    this.state.sort = Object.hasOwn(this.sorters, sort) ? sort : 'relevance';
+    document.querySelector(this.selectors.listSort).value = this.state.sort;
+    this.fillSearchForm();
+    this.updateMatches();
+  },
+
+  /**
+   * Switch between all books and a subset such as favourites, then re-render
+   * @param {string} view - 'all', 'favourites' or 'shelf:<id>'
+   */
+  setView(view) {
+    this.state.view = this.isValidView(view) ? view : 'all';
+    document.querySelector(this.selectors.listView).value = this.state.view;
+    this.updateMatches();
+  },
+
+  /**
+   * Check that a view exists
+   * @param {string} view - View name
+   * @returns {boolean} - Whether the view can be shown
+   */
+  isValidView(view) {
+    if (view === 'all' || view === 'favourites') return true;
+    return typeof view === 'string' && view.startsWith('shelf:') &&
+      this.findShelf(view.slice('shelf:'.length)) !== null;
+  },
+
+  /**
+   * Limit a list of books to the current view
+   * @param {Array} list - Books to limit
+   * @returns {Array} - Books in the current view
+   */
+  applyView(list) {
+    if (this.state.view === 'favourites') {
+      return list.filter(book => this.state.favourites.has(book.id));
+    }
+    if (this.state.view.startsWith('shelf:')) {
+      const shelf = this.findShelf(this.state.view.slice('shelf:'.length));
+      const ids = new Set(shelf ? shelf.books : []);
+      return list.filter(book => ids.has(book.id));
+    }
+    return list;
+  },
+
+  /**
+   * Fill the view selector with the fixed views and one option per shelf
+   */
+  renderViewOptions() {
+    const select = document.querySelector(this.selectors.listView);
+    const options = [
+      ['all', 'All books'],
+      ['favourites', 'Favourites'],
+      ...this.state.shelves.map(shelf => [`shelf:${shelf.id}`, shelf.name])
+    ];
+
+    select.replaceChildren(...options.map(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      return option;
+    }));
+    select.value = this.state.view;
+  },
+
+  /**
+   * Fill the sort selector above the list with the same options as the search form
+   */
+  renderSortOptions() {
+    const select = document.querySelector(this.selectors.listSort);
+    select.replaceChildren(...Object.entries(SORT_OPTIONS).map(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      return option;
+    }));
+    select.value = this.state.sort;
+  },
+
+  /**
+   * Recalculate matches from the filtered books, view and sort, then re-render
+   * @param {boolean} resetPage - Go back to page 1 rather than keep the pages shown
+   */
+  updateMatches(resetPage = true) {
+    this.state.matches = this.sortBooks(this.applyView(this.state.filtered), this.state.sort);
+
+    const lastPage = Math.max(1, Math.ceil(this.state.matches.length / BOOKS_PER_PAGE));
+    this.state.page = resetPage ? 1 : Math.min(this.state.page, lastPage);
+    this.state.startPage = resetPage ? 1 : Math.min(this.state.startPage, this.state.page);
+    this.renderMatches();
+  },
+
+  /**
+   * Run a search and show the results from page 1
+   * @param {Object} filters - Filters as accepted by filterBooks
+   * @param {string} sort - Key of the sorters map
+   */
+  applySearch(filters, sort) {
+    this.state.filters = { ...DEFAULT_FILTERS, ...filters };
+    this.state.filtered = this.filterBooks(this.state.filters);
+    this.setSort(sort);
+  },
+
+  /**
+   * Show a single page in place of the current list
+   * @param {number} page - Page to show
+   */
+  showPage(page) {
+    const lastPage = Math.max(1, Math.ceil(this.state.matches.length / BOOKS_PER_PAGE));
+
+    this.state.startPage = Math.min(Math.max(1, page), lastPage);
+    this.state.page = this.state.startPage;
+    this.refreshBookList();
+    this.updatePagination();
+  },
+
+  /**
+   * Render every page up to the given one, as if "Show more" had been clicked
+   * @param {number} page - Page to show up to
+   */
+  showUpToPage(page) {
+    const lastPage = Math.max(1, Math.ceil(this.state.matches.length / BOOKS_PER_PAGE));
+
+    while (this.state.page < Math.min(page, lastPage)) {
+      this.state.page += 1;
+      this.renderBooks();
+    }
+    this.updatePagination();
+  },
+
+  /**
+   * Fill the search form from the current filters and sort
+   */
+  fillSearchForm() {
+    document.querySelector(this.selectors.search).value = {
+      filters: this.state.filters,
+      sort: this.state.sort
+    };
+  },
+
+  /**
+   * Serialize the current filters, sort and page into a query string
+   * Default values are left out to keep shared links short.
+   * @returns {string} - Query string including the leading '?', or '' when nothing is set
+   */
+  serializeState() {
+    const params = new URLSearchParams();
+
+    for (const [key, value] of Object.entries(this.state.filters)) {
+      if (key === 'genres') {
+        for (const genre of value) params.append('genre', genre);
+      } else if (value !== DEFAULT_FILTERS[key] && value !== '') {
+        params.set(key, value);
+      }
+    }
+    if (this.state.sort !== 'relevance') params.set('sort', this.state.sort);
+    if (this.state.view !== 'all') params.set('view', this.state.view);
+    if (this.state.startPage > 1) params.set('from', this.state.startPage);
+    if (this.state.page > 1) params.set('page', this.state.page);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  },
+
+  /**
+   * Parse filters, sort and pages from a query string
+   * @param {string} search - Query string, e.g. window.location.search
+   * @returns {Object} - Object containing filters, sort, view, startPage and page
+   */
+  parseState(search) {
+    const params = new URLSearchParams(search);
+    // Links are user input: unknown IDs and keys inherited from Object.prototype are dropped
+    const filters = {
+      ...DEFAULT_FILTERS,
+      genres: params.getAll('genre').filter(id => Object.hasOwn(genres, id))
+    };
+
+    for (const key of Object.keys(DEFAULT_FILTERS)) {
+      if (key === 'genres' || !params.has(key)) continue;
+      filters[key] = NUMERIC_FILTERS.includes(key)
+        ? this.parseBound(params.get(key), null)
+        : params.get(key);
+    }
+    if (filters.author !== 'any' && !Object.hasOwn(authors, filters.author)) {
+      filters.author = 'any';
+    }
+
+    const sort = params.get('sort');
+
+    return {
+      filters,
+      sort: Object.hasOwn(this.sorters, sort) ? sort : 'relevance',
+      view: params.get('view') || 'all',
+      startPage: Math.max(1, parseInt(params.get('from'), 10) || 1),
+      page: Math.max(1, parseInt(params.get('page'), 10) || 1)
+    };
+  },
+
+  /**
+   * Write the current state to the URL
+   * @param {boolean} push - Add a history entry instead of replacing the current one
+   */
+  updateUrl(push = false) {
+    const { pathname, search, hash } = window.location;
+    const query = this.serializeState();
+    if (query === search) return;
+
+    const url = `${pathname}${query}${hash}`;
+    if (push) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  },
+
+  /**
+   * Restore filters, sort and page from the URL and re-render
+   */
+  restoreFromUrl() {
+    const { filters, sort, view, startPage, page } = this.parseState(window.location.search);
+
+    this.state.view = this.isValidView(view) ? view : 'all';
+    document.querySelector(this.selectors.listView).value = this.state.view;
+    this.applySearch(filters, sort);
+    if (startPage > 1) {
+      this.showPage(startPage);
+    }
+    this.showUpToPage(page);
+  },
+
+  /**
+   * Re-render the list for the current matches, including the
+   * "no results" message and the "Show more" button
+   */
+  renderMatches() {
+    // Show/hide "no results" message
+    if (this.state.matches.length < 1) {
+      document.querySelector(this.selectors.listMessage).classList.add('list__message_show');
+      this.renderSuggestions();
+    } else {
+      document.querySelector(this.selectors.listMessage).classList.remove('list__message_show');
+      document.querySelector(this.selectors.listSuggestions).replaceChildren();
+    }
+
+    this.refreshBookList();
+    this.updatePagination();
+    this.renderFilterChips();
+  },
+
+  /**
+   * Describe each active filter as a removable chip
+   * @param {Object} filters - Filters as used by filterBooks
+   * @returns {Array} - Objects containing key, value (for a single genre) and label
+   */
+  activeFilters(filters) {
+    const chips = [];
+    const range = (from, to, format) => {
+      if (from !== null && to !== null) return format.between(from, to);
+      return from !== null ? format.from(from) : format.to(to);
+    };
+
+    if (filters.title.trim()) {
+      const scope = filters.scope === 'fulltext' ? ' in titles and descriptions' : '';
+      chips.push({ key: 'title', label: `“${filters.title.trim()}”${scope}` });
+    }
+    for (const id of filters.genres) {
+      if (genres[id]) chips.push({ key: 'genres', value: id, label: genres[id] });
+    }
+    if (filters.author !== 'any' && authors[filters.author]) {
+      chips.push({ key: 'author', label: `By ${authors[filters.author]}` });
+    }
+    if (filters.publishedFrom !== null || filters.publishedTo !== null) {
+      chips.push({
+        key: 'published',
+        label: range(filters.publishedFrom, filters.publishedTo, {
+          between: (from, to) => `Published ${from}–${to}`,
+          from: from => `Published from ${from}`,
+          to: to => `Published until ${to}`
+        })
+      });
+    }
+    if (filters.pagesMin !== null || filters.pagesMax !== null) {
+      chips.push({
+        key: 'pages',
+        label: range(filters.pagesMin, filters.pagesMax, {
+          between: (min, max) => `${min}–${max} pages`,
+          from: min => `At least ${min} pages`,
+          to: max => `Up to ${max} pages`
+        })
+      });
+    }
+    if (filters.minRating !== null) {
+      chips.push({ key: 'minRating', label: filters.minRating >= 5 ? 'Rated 5' : `Rated ${filters.minRating}+` });
+    }
+
+    return chips;
+  },
+
+  /**
+   * Show the active filters and result count above the list
+   */
+  renderFilterChips() {
+    const container = document.querySelector(this.selectors.listFilters);
+    const chips = this.activeFilters(this.state.filters);
+
+    container.hidden = chips.length === 0;
+    if (!chips.length) {
+      container.replaceChildren();
+      return;
+    }
+
+    const count = document.createElement('span');
+    count.className = 'list__count';
+    const total = this.state.matches.length;
+    count.textContent = `${total} ${total === 1 ? 'book' : 'books'}`;
+
+    const items = chips.map(({ key, value, label }) => {
+      const chip = document.createElement('span');
+      chip.className = 'list__chip';
+
+      const remove = document.createElement('button');
+      remove.className = 'list__chip-remove';
+      remove.dataset.filterRemove = key;
+      if (value) remove.dataset.filterValue = value;
+      remove.setAttribute('aria-label', `Remove filter: ${label}`);
+      remove.textContent = '×';
+
+      chip.append(label, remove);
+      return chip;
+    });
+
+    const clear = document.createElement('button');
+    clear.className = 'list__clear';
+    clear.dataset.filtersClear = '';
+    clear.textContent = 'Clear all';
+
+    container.replaceChildren(count, ...items, clear);
+  },
+
+  /**
+   * Run the search again without one of its filters
+   * @param {string} key - 'title', 'genres', 'author', 'published', 'pages' or 'minRating'
+   * @param {string} [value] - Genre ID, when removing a single genre
+   */
+  removeFilter(key, value) {
+    this.applySearch(this.withoutFilter(this.state.filters, key, value), this.state.sort);
+    this.updateUrl(true);
+  },
+
+  /**
+   * Copy filters with one of them reset
+   * @param {Object} filters - Filters as used by filterBooks
+   * @param {string} key - 'title', 'genres', 'author', 'published', 'pages' or 'minRating'
+   * @param {string} [value] - Genre ID, when removing a single genre
+   * @returns {Object} - New filters
+   */
+  withoutFilter(filters, key, value) {
+    filters = { ...filters };
+
+    if (key === 'genres') {
+      filters.genres = filters.genres.filter(id => id !== value);
+    } else if (key === 'published') {
+      filters.publishedFrom = null;
+      filters.publishedTo = null;
+    } else if (key === 'pages') {
+      filters.pagesMin = null;
+      filters.pagesMax = null;
+    } else if (key in DEFAULT_FILTERS) {
+      filters[key] = DEFAULT_FILTERS[key];
+    }
+
+    return filters;
+  },
+
+  /**
+   * Words used in book titles and how many titles use each, built on first use
+   * @returns {Map<string, number>} - Word counts
+   */
+  titleVocabulary() {
+    if (!this.vocabulary) {
+      this.vocabulary = new Map();
+      for (const book of books) {
+        for (const word of new Set(this.normalizeText(book.title).split(' '))) {
+          if (word) this.vocabulary.set(word, (this.vocabulary.get(word) || 0) + 1);
+        }
+      }
+    }
+    return this.vocabulary;
+  },
+
+  /**
+   * Suggest corrected spellings of a title query from the words in titles
+   * Each unknown word is swapped for the closest title words; more common
+   * words win ties.
+   * @param {string} title - Title query
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Array<string>} - Corrected queries, best first
+   */
+  suggestTitles(title, limit = 3) {
+    const words = this.normalizeText(title).split(' ').filter(Boolean);
+    const vocabulary = this.titleVocabulary();
+
+    const options = words.map(word => {
+      if (vocabulary.has(word)) return [word];
+
+      const allowed = word.length > 5 ? 2 : 1;
+      const candidates = [];
+      for (const [candidate, count] of vocabulary) {
+        if (Math.abs(candidate.length - word.length) > allowed) continue;
+        const distance = this.editDistance(word, candidate);
+        if (distance <= allowed) candidates.push({ candidate, distance, count });
+      }
+      candidates.sort((a, b) => a.distance - b.distance || b.count - a.count);
+      return candidates.length ? candidates.slice(0, limit).map(({ candidate }) => candidate) : [word];
+    });
+
+    // Best guess for every word, then the runner-up for one word at a time
+    const suggestions = [options.map(choices => choices[0]).join(' ')];
+    options.forEach((choices, index) => {
+      for (const choice of choices.slice(1)) {
+        suggestions.push(options.map((other, i) => (i === index ? choice : other[0])).join(' '));
+      }
+    });
+
+    const query = words.join(' ');
+    return [...new Set(suggestions)].filter(suggestion => suggestion !== query).slice(0, limit);
+  },
+
+  /**
+   * Offer ways out of an empty result: corrected titles, dropping the most
+   * restrictive filter, and popular books in the chosen genres
+   */
+  renderSuggestions() {
+    const container = document.querySelector(this.selectors.listSuggestions);
+    const { filters } = this.state;
+    const countFor = (candidate) => this.applyView(this.filterBooks(candidate)).length;
+    const items = [];
+
+    const suggestion = (text, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'list__suggestion';
+      button.textContent = text;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+
+    if (filters.title.trim()) {
+      for (const title of this.suggestTitles(filters.title)) {
+        const count = countFor({ ...filters, title });
+        if (!count) continue;
+
+        items.push(suggestion(`Did you mean “${title}”? (${count} ${count === 1 ? 'book' : 'books'})`, () => {
+          this.applySearch({ ...filters, title }, this.state.sort);
+          this.updateUrl(true);
+        }));
+      }
+    }
+
+    // The filter whose removal brings back the most books
+    let best = null;
+    for (const chip of this.activeFilters(filters)) {
+      const count = countFor(this.withoutFilter(filters, chip.key, chip.value));
+      if (count && (!best || count > best.count)) best = { ...chip, count };
+    }
+    if (best) {
+      const count = `${best.count} ${best.count === 1 ? 'book' : 'books'}`;
+      items.push(suggestion(`Remove “${best.label}” to see ${count}`, () => {
+        this.removeFilter(best.key, best.value);
+      }));
+    } else if (this.activeFilters(filters).length > 1) {
+      items.push(suggestion('Clear all filters', () => {
+        this.applySearch(DEFAULT_FILTERS, this.state.sort);
+        this.updateUrl(true);
+      }));
+    }
+
+    const selected = new Set(filters.genres);
+    if (selected.size) {
+      const heading = document.createElement('p');
+      heading.textContent = `Popular in ${[...selected].map(id => genres[id]).filter(Boolean).join(', ')}:`;
+
+      const popular = document.createElement('div');
+      popular.className = 'list__popular';
+      books
+        .filter(book => book.genres.some(id => selected.has(id)))
+        .sort((a, b) => b.popularity - a.popularity)
+        .slice(0, 4)
+        .forEach(book => {
+          const preview = this.createBookPreview(book);
+          preview.setAttribute('compact', '');
+          popular.appendChild(preview);
+        });
+
+      if (popular.children.length) items.push(heading, popular);
+    }
+
+    container.replaceChildren(...items);
+  },
+
+  /**
+   * Read a value saved in localStorage
+   * @param {string} key - Storage key
+   * @param {*} fallback - Value to use when nothing (valid) is stored
+   * @returns {*} - Parsed value
+   */
+  loadStored(key, fallback) {
+    try {
+      const raw = window.localStorage.getItem(key);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+      return fallback;
+    }
+  },
+
+  /**
+   * Save a value in localStorage
+   * Storage may be full or disabled; the app then keeps working for this visit.
+   * @param {string} key - Storage key
+   * @param {*} value - JSON-serializable value
+   */
+  saveStored(key, value) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      // Nothing to do: the value stays in memory until the page is closed
+    }
+  },
+
+  /**
+   * Load favourite book IDs from localStorage
+   */
+  loadFavourites() {
+    const ids = this.loadStored(STORAGE_KEYS.favourites, []);
+    this.state.favourites = new Set(Array.isArray(ids) ? ids : []);
+  },
+
+  /**
+   * Star or unstar a book and save the change
+   * @param {string} id - Book ID
+   */
+  toggleFavourite(id) {
+    if (!this.findBookById(id)) return;
+
+    const { favourites } = this.state;
+    if (favourites.has(id)) {
+      favourites.delete(id);
+    } else {
+      favourites.add(id);
+    }
+    this.saveStored(STORAGE_KEYS.favourites, [...favourites]);
+
+    // Update the stars in place, or drop an unstarred book from the favourites view
+    if (this.state.view === 'favourites') {
+      this.updateMatches(false);
+    } else {
+      this.updatePreviews(id);
+    }
+    this.updateOpenDetails();
+  },
+
+  /**
+   * Load shelves from localStorage, making sure the built-in shelves exist
+   */
+  loadShelves() {
+    const stored = this.loadStored(STORAGE_KEYS.shelves, []);
+    const valid = (Array.isArray(stored) ? stored : [])
+      .filter(shelf => shelf && typeof shelf.id === 'string' && typeof shelf.name === 'string')
+      .map(shelf => ({
+        id: shelf.id,
+        name: shelf.name,
+        books: Array.isArray(shelf.books) ? shelf.books : []
+      }));
+
+    const builtIn = BUILT_IN_SHELVES.map(shelf => ({
+      ...shelf,
+      builtIn: true,
+      books: (valid.find(saved => saved.id === shelf.id) || { books: [] }).books
+    }));
+    const custom = valid.filter(shelf => !BUILT_IN_SHELVES.some(({ id }) => id === shelf.id));
+
+    this.state.shelves = [...builtIn, ...custom];
+  },
+
+  /**
+   * Save shelves to localStorage and refresh everything that lists them
+   */
+  saveShelves() {
+    this.saveStored(STORAGE_KEYS.shelves, this.state.shelves.map(({ id, name, books }) => ({
+      id,
+      name,
+      books
+    })));
+    this.renderViewOptions();
+    this.renderShelves();
+  },
+
+  /**
+   * Find a shelf by its ID
+   * @param {string} id - Shelf ID
+   * @returns {Object|null} - Shelf if found, null otherwise
+   */
+  findShelf(id) {
+    return this.state.shelves.find(shelf => shelf.id === id) || null;
+  },
+
+  /**
+   * Create a custom shelf
+   * @param {string} name - Shelf name
+   * @returns {Object|null} - New shelf, or null if the name is empty or taken
+   */
+  createShelf(name) {
+    const trimmed = String(name).trim();
+    const taken = this.state.shelves.some(shelf => shelf.name.toLowerCase() === trimmed.toLowerCase());
+    if (!trimmed || taken) return null;
+
+    const shelf = { id: `shelf-${Date.now().toString(36)}`, name: trimmed, books: [] };
+    this.state.shelves.push(shelf);
+    this.saveShelves();
+    return shelf;
+  },
+
+  /**
+   * Delete a custom shelf; built-in shelves are kept
+   * @param {string} id - Shelf ID
+   */
+  deleteShelf(id) {
+    const shelf = this.findShelf(id);
+    if (!shelf || shelf.builtIn) return;
+
+    this.state.shelves = this.state.shelves.filter(item => item !== shelf);
+    this.saveShelves();
+
+    if (this.state.view === `shelf:${id}`) {
+      this.setView('all');
+      this.updateUrl();
+    }
+    this.updateOpenDetails();
+  },
+
+  /**
+   * Add a book to a shelf or remove it
+   * @param {string} bookId - Book ID
+   * @param {string} shelfId - Shelf ID
+   * @param {boolean} checked - Whether the book should be on the shelf
+   */
+  setBookOnShelf(bookId, shelfId, checked) {
+    const shelf = this.findShelf(shelfId);
+    if (!shelf || !this.findBookById(bookId)) return;
+
+    const onShelf = shelf.books.includes(bookId);
+    if (checked && !onShelf) shelf.books.push(bookId);
+    if (!checked && onShelf) shelf.books = shelf.books.filter(id => id !== bookId);
+    this.saveShelves();
+
+    if (this.state.view === `shelf:${shelfId}`) {
+      this.updateMatches(false);
+    } else if (shelfId === READING_SHELF) {
+      this.updatePreviews(bookId);
+    }
+    this.updateOpenDetails();
+  },
+
+  /**
+   * Every shelf, marked with whether the book is on it
+   * @param {string} bookId - Book ID
+   * @returns {Array} - Objects containing id, name and checked
+   */
+  shelvesFor(bookId) {
+    return this.state.shelves.map(shelf => ({
+      id: shelf.id,
+      name: shelf.name,
+      checked: shelf.books.includes(bookId)
+    }));
+  },
+
+  /**
+   * Refresh the favourite star, shelves and progress of the book shown in
+   * the details overlay
+   */
+  updateOpenDetails() {
+    const details = document.querySelector(this.selectors.listDetails);
+    if (!details.book) return;
+
+    const { id } = details.book;
+    details.toggleAttribute('favourite', this.state.favourites.has(id));
+    details.shelves = this.shelvesFor(id);
+    details.progress = this.progressFor(id);
+    details.review = this.state.reviews[id] || { rating: 0, text: '' };
+  },
+
+  /**
+   * Load ratings and reviews from localStorage
+   */
+  loadReviews() {
+    const stored = this.loadStored(STORAGE_KEYS.reviews, {});
+    this.state.reviews = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  },
+
+  /**
+   * The user's rating of a book
+   * @param {string} id - Book ID
+   * @returns {number} - 1-5, or 0 when not rated
+   */
+  ratingOf(id) {
+    const review = this.state.reviews[id];
+    return review ? Math.min(5, Math.max(0, parseInt(review.rating, 10) || 0)) : 0;
+  },
+
+  /**
+   * Save a rating and review; an empty review without a rating is removed
+   * @param {string} bookId - Book ID
+   * @param {number} rating - 0 for no rating, otherwise 1-5
+   * @param {string} text - Review text
+   */
+  saveReview(bookId, rating, text) {
+    if (!this.findBookById(bookId)) return;
+
+    const value = Math.min(5, Math.max(0, parseInt(rating, 10) || 0));
+    const review = String(text || '').trim();
+    if (!value && !review) {
+      delete this.state.reviews[bookId];
+    } else {
+      this.state.reviews[bookId] = { rating: value, text: review, updated: new Date().toISOString() };
+    }
+    this.saveStored(STORAGE_KEYS.reviews, this.state.reviews);
+
+    // Ratings can change which books match or their order
+    if (this.state.filters.minRating !== null || this.state.sort === 'rating') {
+      this.state.filtered = this.filterBooks(this.state.filters);
+      this.updateMatches(false);
+    } else {
+      this.updatePreviews(bookId);
+    }
+    this.updateOpenDetails();
+  },
+
+  /**
+   * Load reading progress entries from localStorage
+   */
+  loadProgress() {
+    const stored = this.loadStored(STORAGE_KEYS.progress, {});
+    const progress = {};
+
+    for (const [id, entries] of Object.entries(stored && typeof stored === 'object' ? stored : {})) {
+      if (!Array.isArray(entries)) continue;
+      progress[id] = entries.filter(entry =>
+        entry && Number.isFinite(entry.page) && !Number.isNaN(Date.parse(entry.date)));
+    }
+
+    this.state.progress = progress;
+  },
+
+  /**
+   * Record the page a book has been read up to
+   * @param {string} bookId - Book ID
+   * @param {number} page - Current page
+   * @param {Date} date - When the page was reached
+   */
+  logProgress(bookId, page, date = new Date()) {
+    const book = this.findBookById(bookId);
+    if (!book) return;
+
+    const entries = this.state.progress[bookId] || [];
+    entries.push({ date: date.toISOString(), page: Math.min(book.pages, Math.max(0, page)) });
+    entries.sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+    this.state.progress[bookId] = entries;
+    this.saveStored(STORAGE_KEYS.progress, this.state.progress);
+
+    this.updatePreviews(bookId);
+    this.updateOpenDetails();
+  },
+
+  /**
+   * Reading progress of a book on the "Currently reading" shelf
+   * @param {string} bookId - Book ID
+   * @returns {Object|null} - Object containing pages, percent, entries and
+   *   estimate, or null if the book is not being read
+   */
+  progressFor(bookId) {
+    const shelf = this.findShelf(READING_SHELF);
+    const book = this.findBookById(bookId);
+    if (!shelf || !book || !shelf.books.includes(bookId)) return null;
+
+    const entries = this.state.progress[bookId] || [];
+    const current = entries.length ? entries[entries.length - 1].page : 0;
+
+    return {
+      pages: book.pages,
+      percent: book.pages > 0 ? Math.round((current / book.pages) * 100) : 0,
+      entries,
+      estimate: this.estimateFinish(entries, book.pages)
+    };
+  },
+
+  /**
+   * Estimate when a book will be finished from the pace between the first
+   * and last progress entries
+   * @param {Array} entries - Progress entries sorted by date
+   * @param {number} pages - Total pages
+   * @returns {string|null} - ISO date, or null when there is no pace yet
+   */
+  estimateFinish(entries, pages) {
+    if (entries.length < 2) return null;
+
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const pagesRead = last.page - first.page;
+    const days = (Date.parse(last.date) - Date.parse(first.date)) / DAY_MS;
+    if (pagesRead <= 0 || days <= 0 || last.page >= pages) return null;
+
+    // Reading on the same day still counts as at least a day's pace
+    const pagesPerDay = pagesRead / Math.max(days, 1);
+    const daysLeft = (pages - last.page) / pagesPerDay;
+    return new Date(Date.parse(last.date) + daysLeft * DAY_MS).toISOString();
+  },
+
+  /**
+   * Render the list of shelves in the shelves overlay
+   */
+  renderShelves() {
+    const fragment = document.createDocumentFragment();
+
+    for (const shelf of this.state.shelves) {
+      const item = document.createElement('li');
+      item.className = 'shelves__item';
+
+      const name = document.createElement('span');
+      name.className = 'shelves__name';
+      name.textContent = shelf.name;
+
+      const count = document.createElement('span');
+      count.className = 'shelves__count';
+      count.textContent = `${shelf.books.length} ${shelf.books.length === 1 ? 'book' : 'books'}`;
+
+      const show = document.createElement('button');
+      show.className = 'shelves__button';
+      show.dataset.shelfShow = shelf.id;
+      show.textContent = 'Show';
+
+      const exports = ['csv', 'json'].map(format => {
+        const button = document.createElement('button');
+        button.className = 'shelves__button';
+        button.dataset.shelfExport = shelf.id;
+        button.dataset.format = format;
+        button.setAttribute('aria-label', `Export ${shelf.name} as ${format.toUpperCase()}`);
+        button.textContent = format.toUpperCase();
+        return button;
+      });
+
+      item.append(name, count, show, ...exports);
+
+      if (!shelf.builtIn) {
+        const remove = document.createElement('button');
+        remove.className = 'shelves__button';
+        remove.dataset.shelfDelete = shelf.id;
+        remove.setAttribute('aria-label', `Delete ${shelf.name}`);
+        remove.textContent = 'Delete';
+        item.appendChild(remove);
+      }
+
+      fragment.appendChild(item);
+    }
+
+    document.querySelector(this.selectors.shelvesList).replaceChildren(fragment);
+  },
+
+  /**
+   * Flatten books into export rows with author and genre names resolved
+   * @param {Array} list - Books to export
+   * @returns {Array} - Objects with id, title, author, genres, year, pages and popularity
+   */
+  exportRows(list) {
+    return list.map(book => ({
+      id: book.id,
+      title: book.title,
+      author: authors[book.author] || '',
+      genres: book.genres.map(id => genres[id]).filter(Boolean),
+      year: new Date(book.published).getFullYear(),
+      pages: book.pages,
+      popularity: book.popularity
+    }));
+  },
+
+  /**
+   * Convert export rows to CSV, quoting fields as needed
+   * Genres are joined with '; ' so they stay in one column.
+   * @param {Array} rows - Rows from exportRows
+   * @returns {string} - CSV text with a header row
+   */
+  toCsv(rows) {
+    const columns = ['id', 'title', 'author', 'genres', 'year', 'pages', 'popularity'];
+    const field = (value) => {
+      const text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      columns.join(','),
+      ...rows.map(row => columns.map(column => field(row[column])).join(','))
+    ].join('\r\n');
+  },
+
+  /**
+   * Download books as a CSV or JSON file
+   * @param {Array} list - Books to export
+   * @param {string} format - 'csv' or 'json'
+   * @param {string} name - Name of the list, used in the file name
+   */
+  exportBooks(list, format, name) {
+    const rows = this.exportRows(list);
+    const content = format === 'json' ? JSON.stringify(rows, null, 2) : this.toCsv(rows);
+    const type = format === 'json' ? 'application/json' : 'text/csv';
+    const slug = this.normalizeText(name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'books';
+
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `book-connect-${slug}.${format === 'json' ? 'json' : 'csv'}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke once the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  /**
+   * Parse CSV text into rows of fields
+   * Handles quoted fields containing commas, quotes and line breaks.
+   * @param {string} text - CSV text
+   * @returns {Array<Array<string>>} - Rows, without blank lines
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i += 1;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  },
+
+  /**
+   * Similarity of two normalized strings as a whole, from their edit distance
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - 1 for identical strings, down to 0
+   */
+  editRatio(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest ? 1 - this.editDistance(a, b) / longest : 1;
+  },
+
+  /**
+   * Find the catalogue book for a title and author name
+   * A book with exactly the same normalized title is taken whoever it is
+   * credited to; the author only decides between several such books. Failing
+   * that, the closest whole title by a similarly spelled author is taken; rows
+   * without an author only match exactly, as every book would be a candidate.
+   * @param {string} title - Title, e.g. from a Goodreads export
+   * @param {string} authorName - Author's name
+   * @returns {Object|null} - Object containing book and exact (title and author both
+   *   matched exactly), or null if nothing is close enough
+   */
+  matchBook(title, authorName) {
+    // Goodreads appends the series, e.g. "Title (Series, #2)"
+    const query = this.normalizeText(String(title).replace(/\s*\([^)]*#\s*\d[^)]*\)\s*$/, ''));
+    const author = this.normalizeText(authorName);
+    if (!query) return null;
+
+    if (!this.titleLookup) {
+      this.titleLookup = new Map();
+      for (const book of books) {
+        const key = this.normalizeText(book.title);
+        if (!this.titleLookup.has(key)) this.titleLookup.set(key, []);
+        this.titleLookup.get(key).push(book);
+      }
+    }
+
+    const sameTitle = this.titleLookup.get(query) || [];
+    if (sameTitle.length) {
+      const byAuthor = sameTitle.find(book => this.normalizeText(authors[book.author] || '') === author);
+      return { book: byAuthor || sameTitle[0], exact: Boolean(byAuthor) };
+    }
+    if (!author) return null;
+
+    // Only compare titles of books by authors whose names are close enough
+    const authorIds = new Set(Object.keys(authors).filter(id =>
+      this.editRatio(author, this.normalizeText(authors[id])) >= IMPORT_MATCH_THRESHOLD
+    ));
+
+    let best = null;
+    let bestScore = IMPORT_MATCH_THRESHOLD;
+    for (const book of books) {
+      if (!authorIds.has(book.author)) continue;
+
+      const score = this.editRatio(query, this.normalizeText(book.title));
+      if (score >= bestScore) {
+        best = book;
+        bestScore = score;
+      }
+    }
+
+    return best ? { book: best, exact: false } : null;
+  },
+
+  /**
+   * Import a Goodreads library export: shelves, ratings and reviews
+   * Rows that match a catalogue book are added to the shelf from "Exclusive
+   * Shelf" and to any custom shelves in "Bookshelves", which are created if
+   * missing. Existing ratings are replaced, existing reviews only by a
+   * non-empty one.
+   * @param {string} text - Contents of goodreads_library_export.csv
+   * @returns {Object|null} - Report containing total, matched, approximate and unmatched
+   *   rows, or null if the file is not a Goodreads export
+   */
+  importGoodreads(text) {
+    const [header, ...rows] = this.parseCsv(String(text).replace(/^\uFEFF/, ''));
+    const columns = header ? header.map(name => name.trim()) : [];
+    if (!columns.includes('Title') || !columns.includes('Author')) return null;
+
+    const report = { total: rows.length, matched: [], approximate: [], unmatched: [] };
+    const now = new Date().toISOString();
+
+    for (const fields of rows) {
+      const row = Object.fromEntries(columns.map((name, index) => [name, (fields[index] || '').trim()]));
+      const match = this.matchBook(row.Title, row.Author);
+
+      if (!match) {
+        report.unmatched.push({ title: row.Title, author: row.Author });
+        continue;
+      }
+
+      const { book, exact } = match;
+      (exact ? report.matched : report.approximate).push({ title: row.Title, author: row.Author, book });
+
+      const exclusive = GOODREADS_SHELVES[row['Exclusive Shelf']];
+      const custom = (row.Bookshelves || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => name && !(name in GOODREADS_SHELVES));
+
+      for (const name of custom) {
+        let shelf = this.state.shelves.find(item => item.name.toLowerCase() === name.toLowerCase());
+        if (!shelf) {
+          shelf = { id: `shelf-${Date.now().toString(36)}-${this.state.shelves.length}`, name, books: [] };
+          this.state.shelves.push(shelf);
+        }
+        if (!shelf.books.includes(book.id)) shelf.books.push(book.id);
+      }
+
+      if (exclusive) {
+        // A book sits on only one of the reading shelves, as on Goodreads
+        for (const id of Object.values(GOODREADS_SHELVES)) {
+          const shelf = this.findShelf(id);
+          const onShelf = shelf.books.includes(book.id);
+          if (id === exclusive && !onShelf) shelf.books.push(book.id);
+          if (id !== exclusive && onShelf) shelf.books = shelf.books.filter(bookId => bookId !== book.id);
+        }
+      }
+
+      const rating = Math.min(5, Math.max(0, parseInt(row['My Rating'], 10) || 0));
+      const review = row['My Review'] || '';
+      if (rating || review) {
+        const existing = this.state.reviews[book.id] || { rating: 0, text: '' };
+        this.state.reviews[book.id] = {
+          rating: rating || existing.rating,
+          text: review || existing.text,
+          updated: now
+        };
+      }
+    }
+
+    this.saveShelves();
+    this.saveStored(STORAGE_KEYS.reviews, this.state.reviews);
+
+    this.state.filtered = this.filterBooks(this.state.filters);
+    this.updateMatches(false);
+    this.updateOpenDetails();
+
+    return report;
+  },
+
+  /**
+   * Show the result of a Goodreads import in the shelves overlay
+   * @param {Object|Error|null} report - Report from importGoodreads, or the error
+   *   that stopped the import
+   */
+  renderImportReport(report) {
+    const container = document.querySelector(this.selectors.shelvesReport);
+    container.hidden = false;
+
+    if (report instanceof Error) {
+      container.textContent = `The file could not be imported: ${report.message}`;
+      return;
+    }
+    if (!report) {
+      container.textContent = 'This file does not look like a Goodreads library export.';
+      return;
+    }
+
+    const summary = document.createElement('p');
+    summary.className = 'shelves__summary';
+    const imported = report.matched.length + report.approximate.length;
+    summary.textContent = `Imported ${imported} of ${report.total} ${report.total === 1 ? 'book' : 'books'}.`;
+
+    const section = (title, items, describe) => {
+      if (!items.length) return [];
+
+      const heading = document.createElement('h4');
+      heading.className = 'shelves__heading';
+      heading.textContent = `${title} (${items.length})`;
+
+      const list = document.createElement('ul');
+      list.className = 'shelves__report-list';
+      for (const item of items) {
+        const entry = document.createElement('li');
+        entry.textContent = describe(item);
+        list.appendChild(entry);
+      }
+
+      return [heading, list];
+    };
+
+    container.replaceChildren(
+      summary,
+      ...section('Matched approximately', report.approximate, ({ title, book }) =>
+        `${title} → ${book.title} by ${authors[book.author]}`),
+      ...section('Not found in the catalogue', report.unmatched, ({ title, author }) =>
+        author ? `${title} by ${author}` : title)
+    );
+  },
+
+  /**
+   * Find a book by its ID
+   * @param {string} id - Book ID to search for
+   * @returns {Object|null} - Book object if found, null otherwise
+   */
+  findBookById(id) {
+    return books.find(book => book.id === id) || null;
+  },
+
+  /**
+   * Display book details in the overlay
    * @param {Object} book - Book object to display
    */
   showBookDetails(book) {
     if (!book) return;
     
-    document.querySelector(this.selectors.listActive).open = true;
-    document.querySelector(this.selectors.listBlur).src = book.image;
-    document.querySelector(this.selectors.listImage).src = book.image;
-    document.querySelector(this.selectors.listTitle).innerText = book.title;
-    document.querySelector(this.selectors.listSubtitle).innerText = 
-      `${authors[book.author]} (${new Date(book.published).getFullYear()})`;
-    document.querySelector(this.selectors.listDescription).innerText = book.description;
+    const details = document.querySelector(this.selectors.listDetails);
+    details.book = book;
+    details.related = this.relatedBooks(book);
+    this.updateOpenDetails();
+
+    const overlay = document.querySelector(this.selectors.listActive);
+    overlay.open = true;
+    // Opening a related book should start from its cover, not where the last one was scrolled
+    overlay.scrollTop = 0;
+  },
+
+  /**
+   * Close the book details overlay
+   */
+  hideBookDetails() {
+    document.querySelector(this.selectors.listActive).open = false;
+  },
+
+  /**
+   * Parse the hash route, e.g. '#/book/<id>'
+   * @param {string} hash - Location hash
+   * @returns {Object|null} - Object containing the route name and id, or null
+   */
+  parseRoute(hash) {
+    const match = /^#\/(\w+)(?:\/(.+))?$/.exec(hash);
+    if (!match) return null;
+
+    // A hand-edited hash can hold a malformed escape such as '%E0'
+    try {
+      return { name: match[1], id: match[2] ? decodeURIComponent(match[2]) : null };
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Show whatever the current hash route points at
+   */
+  handleRoute() {
+    const route = this.parseRoute(window.location.hash);
+    const book = route && route.name === 'book' ? this.findBookById(route.id) : null;
+    const authorId = route && route.name === 'author' && authors[route.id] ? route.id : null;
+    const genresRoute = Boolean(route && route.name === 'genres');
+
+    if (book) {
+      this.showBookDetails(book);
+    } else {
+      this.hideBookDetails();
+    }
+
+    if (authorId) {
+      this.showAuthor(authorId);
+    } else {
+      this.hideAuthor();
+    }
+
+    if (genresRoute) {
+      this.showGenres(route.id);
+    } else {
+      this.hideGenres();
+    }
+  },
+
+  /**
+   * Open the genre browser
+   * @param {string|null} id - Genre to select, if any
+   */
+  showGenres(id) {
+    const browser = document.querySelector(this.selectors.genresBrowser);
+    if (id && genres[id]) {
+      browser.setAttribute('selected', id);
+    } else {
+      browser.removeAttribute('selected');
+    }
+    document.querySelector(this.selectors.genresOverlay).open = true;
+  },
+
+  /**
+   * Close the genre browser
+   */
+  hideGenres() {
+    document.querySelector(this.selectors.genresOverlay).open = false;
+  },
+
+  /**
+   * Navigate to the genre browser, adding a history entry
+   */
+  openGenres() {
+    this.state.routePushed = true;
+    window.location.hash = '#/genres';
+  },
+
+  /**
+   * Select a genre in the browser without adding a history entry
+   * @param {string} id - Genre ID
+   */
+  selectGenre(id) {
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, '', `${pathname}${search}#/genres/${encodeURIComponent(id)}`);
+    this.handleRoute();
+  },
+
+  /**
+   * Search for books in all of the given genres, leaving the genre browser
+   * @param {Array<string>} ids - Genre IDs
+   */
+  applyGenreFilter(ids) {
+    // Drop the route in place; going back would race the search's own history entry
+    const { pathname, search } = window.location;
+    this.state.routePushed = false;
+    window.history.replaceState(null, '', `${pathname}${search}`);
+    this.handleRoute();
+
+    this.applySearch({ ...DEFAULT_FILTERS, genres: ids, genreMode: 'all' }, this.state.sort);
+    this.updateUrl(true);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  },
+
+  /**
+   * Open the author overlay
+   * @param {string} id - Author ID
+   */
+  showAuthor(id) {
+    document.querySelector(this.selectors.authorProfile).setAttribute('author-id', id);
+
+    const overlay = document.querySelector(this.selectors.authorOverlay);
+    overlay.open = true;
+    overlay.scrollTop = 0;
+  },
+
+  /**
+   * Close the author overlay
+   */
+  hideAuthor() {
+    document.querySelector(this.selectors.authorOverlay).open = false;
+  },
+
+  /**
+   * Navigate to an author's route, adding a history entry
+   * @param {string} id - Author ID
+   */
+  openAuthor(id) {
+    this.state.routePushed = true;
+    window.location.hash = `#/author/${encodeURIComponent(id)}`;
+  },
+
+  /**
+   * Navigate to a book's detail route, adding a history entry
+   * @param {string} id - Book ID
+   */
+  openBook(id) {
+    this.state.routePushed = true;
+    window.location.hash = `#/book/${encodeURIComponent(id)}`;
+  },
+
+  /**
+   * Switch the open details overlay to another book without adding a history
+   * entry, so Close still leaves the overlay in one step
+   * @param {string} id - Book ID
+   */
+  replaceBook(id) {
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, '', `${pathname}${search}#/book/${encodeURIComponent(id)}`);
+    this.handleRoute();
+  },
+
+  /**
+   * Leave the current book, author or genres route
+   * Goes back when we added the history entry ourselves, otherwise (e.g. the
+   * page was opened from a shared link) drops the hash without leaving the app.
+   */
+  closeRoute() {
+    if (this.state.routePushed) {
+      this.state.routePushed = false;
+      window.history.back();
+      return;
+    }
+
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, '', `${pathname}${search}`);
+    this.handleRoute();
   },
 
   /**
@@ -368,7 +4116,7 @@ const BookConnect = {
    */
   setupEventListeners() {
     // Cancel search overlay
-    document.querySelector(this.selectors.searchCancel).addEventListener('click', () => {
+    document.querySelector(this.selectors.search).addEventListener('search-cancel', () => {
       document.querySelector(this.selectors.searchOverlay).open = false;
     });
 
@@ -379,8 +4127,10 @@ const BookConnect = {
 
     // Open search overlay
     document.querySelector(this.selectors.headerSearch).addEventListener('click', () => {
+      const search = document.querySelector(this.selectors.search);
+      search.facets = this.facetCounts(search.value.filters);
       document.querySelector(this.selectors.searchOverlay).open = true;
-      document.querySelector(this.selectors.searchTitle).focus();
+      document.querySelector(this.selectors.search).focus();
     });
 
     // Open settings overlay
@@ -388,58 +4138,264 @@ const BookConnect = {
       document.querySelector(this.selectors.settingsOverlay).open = true;
     });
 
-    // Close book details
-    document.querySelector(this.selectors.listClose).addEventListener('click', () => {
-      document.querySelector(this.selectors.listActive).open = false;
+    // Open shelves overlay
+    document.querySelector(this.selectors.headerShelves).addEventListener('click', () => {
+      this.renderShelves();
+      document.querySelector(this.selectors.shelvesOverlay).open = true;
+    });
+
+    // Close shelves overlay
+    document.querySelector(this.selectors.shelvesClose).addEventListener('click', () => {
+      document.querySelector(this.selectors.shelvesOverlay).open = false;
+    });
+
+    // Import a Goodreads library export
+    document.querySelector(this.selectors.shelvesImport).addEventListener('change', async (event) => {
+      const [file] = event.target.files;
+      if (!file) return;
+
+      try {
+        this.renderImportReport(this.importGoodreads(await file.text()));
+      } catch (error) {
+        this.renderImportReport(error instanceof Error ? error : new Error(String(error)));
+      }
+      event.target.value = '';
+    });
+
+    // Create a shelf
+    document.querySelector(this.selectors.shelvesForm).addEventListener('submit', (event) => {
+      event.preventDefault();
+      const input = event.target.elements.name;
+
+      if (this.createShelf(input.value)) {
+        event.target.reset();
+        input.setCustomValidity('');
+      } else {
+        input.setCustomValidity(input.value.trim()
+          ? 'A shelf with this name already exists'
+          : 'Enter a name for the shelf');
+        input.reportValidity();
+      }
+    });
+
+    document.querySelector(this.selectors.shelvesForm).addEventListener('input', (event) => {
+      event.target.setCustomValidity('');
+    });
+
+    // Show or delete a shelf
+    document.querySelector(this.selectors.shelvesList).addEventListener('click', (event) => {
+      const show = event.target.closest('[data-shelf-show]');
+      const remove = event.target.closest('[data-shelf-delete]');
+      const exported = event.target.closest('[data-shelf-export]');
+
+      if (exported) {
+        const shelf = this.findShelf(exported.dataset.shelfExport);
+        const list = shelf.books.map(id => this.findBookById(id)).filter(Boolean);
+        this.exportBooks(list, exported.dataset.format, shelf.name);
+      } else if (show) {
+        this.setView(`shelf:${show.dataset.shelfShow}`);
+        this.updateUrl(true);
+        document.querySelector(this.selectors.shelvesOverlay).open = false;
+      } else if (remove) {
+        this.deleteShelf(remove.dataset.shelfDelete);
+      }
+    });
+
+    // Popular books suggested when a search finds nothing
+    document.querySelector(this.selectors.listMessage).addEventListener('preview-click', (event) => {
+      const bookId = event.detail.bookId;
+      if (this.findBookById(bookId)) {
+        this.openBook(bookId);
+      }
+    });
+
+    // A "More like this" preview in the details overlay
+    document.querySelector(this.selectors.listActive).addEventListener('preview-click', (event) => {
+      const bookId = event.detail.bookId;
+      if (this.findBookById(bookId)) {
+        this.replaceBook(bookId);
+      }
+    });
+
+    // Rating and review saved in the details overlay
+    document.querySelector(this.selectors.listActive).addEventListener('review-save', (event) => {
+      const { bookId, rating, text } = event.detail;
+      this.saveReview(bookId, rating, text);
+    });
+
+    // Reading progress logged in the details overlay
+    document.querySelector(this.selectors.listActive).addEventListener('progress-log', (event) => {
+      const { bookId, page } = event.detail;
+      this.logProgress(bookId, page);
+    });
+
+    // Shelf checkboxes in the details overlay
+    document.querySelector(this.selectors.listActive).addEventListener('shelf-toggle', (event) => {
+      const { bookId, shelfId, checked } = event.detail;
+      this.setBookOnShelf(bookId, shelfId, checked);
+    });
+
+    // Close book details (emitted by the <book-details> component)
+    document.querySelector(this.selectors.listActive).addEventListener('details-close', () => {
+      this.closeRoute();
+    });
+
+    // Author names on previews and in the details overlay
+    document.addEventListener('author-click', (event) => {
+      if (authors[event.detail.authorId]) {
+        this.openAuthor(event.detail.authorId);
+      }
+    });
+
+    // Genre browser
+    document.querySelector(this.selectors.headerGenres).addEventListener('click', () => {
+      this.openGenres();
+    });
+
+    const genresOverlay = document.querySelector(this.selectors.genresOverlay);
+    genresOverlay.addEventListener('genre-select', (event) => {
+      this.selectGenre(event.detail.genreId);
+    });
+    genresOverlay.addEventListener('genre-filter', (event) => {
+      this.applyGenreFilter(event.detail.genres.filter(id => genres[id]));
+    });
+    genresOverlay.addEventListener('genres-close', () => {
+      this.closeRoute();
+    });
+
+    // Close the author overlay
+    document.querySelector(this.selectors.authorOverlay).addEventListener('author-close', () => {
+      this.closeRoute();
+    });
+
+    // A book on the author's timeline
+    document.querySelector(this.selectors.authorOverlay).addEventListener('preview-click', (event) => {
+      const bookId = event.detail.bookId;
+      if (this.findBookById(bookId)) {
+        this.openBook(bookId);
+      }
     });
 
     // Settings form submission
     document.querySelector(this.selectors.settingsForm).addEventListener('submit', (event) => {
       event.preventDefault();
       const formData = new FormData(event.target);
-      const { theme } = Object.fromEntries(formData);
+      const { theme, scroll } = Object.fromEntries(formData);
       
       this.setTheme(theme);
+      this.setScrollMode(scroll);
       document.querySelector(this.selectors.settingsOverlay).open = false;
     });
 
-    // Search form submission
-    document.querySelector(this.selectors.searchForm).addEventListener('submit', (event) => {
-      event.preventDefault();
-      const formData = new FormData(event.target);
-      const filters = Object.fromEntries(formData);
-      
-      // Reset to page 1 and update matches
-      this.state.page = 1;
-      this.state.matches = this.filterBooks(filters);
+    // Search form submission (emitted by the <book-search> component)
+    document.querySelector(this.selectors.search).addEventListener('search-submit', (event) => {
+      const { filters, sort } = event.detail;
       
-      // Show/hide "no results" message
-      if (this.state.matches.length < 1) {
-        document.querySelector(this.selectors.listMessage).classList.add('list__message_show');
-      } else {
-        document.querySelector(this.selectors.listMessage).classList.remove('list__message_show');
-      }
-      
-      this.refreshBookList();
-      this.updateShowMoreButton();
+      this.applySearch(filters, sort);
+      this.updateUrl(true);
       
       window.scrollTo({top: 0, behavior: 'smooth'});
       document.querySelector(this.selectors.searchOverlay).open = false;
     });
 
-    // Show more button
-    document.querySelector(this.selectors.listButton).addEventListener('click', () => {
-      this.state.page += 1;
-      this.renderBooks();
-      this.updateShowMoreButton();
+    // Remove one active filter, or all of them
+    document.querySelector(this.selectors.listFilters).addEventListener('click', (event) => {
+      const remove = event.target.closest('[data-filter-remove]');
+
+      if (remove) {
+        this.removeFilter(remove.dataset.filterRemove, remove.dataset.filterValue);
+      } else if (event.target.closest('[data-filters-clear]')) {
+        this.applySearch(DEFAULT_FILTERS, this.state.sort);
+        this.updateUrl(true);
+      }
+    });
+
+    // Title and author autocomplete in the search form
+    document.querySelector(this.selectors.search).addEventListener('search-suggest', (event) => {
+      event.currentTarget.suggestions = this.autocomplete(event.detail.query);
+    });
+
+    document.querySelector(this.selectors.search).addEventListener('suggestion-pick', (event) => {
+      const { type, id } = event.detail;
+      document.querySelector(this.selectors.searchOverlay).open = false;
+
+      if (type === 'title' && this.findBookById(id)) {
+        this.openBook(id);
+      } else if (type === 'author' && authors[id]) {
+        const { filters, sort } = event.currentTarget.value;
+        this.applySearch({ ...filters, title: '', author: id }, sort);
+        this.updateUrl(true);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+      }
+    });
+
+    // Keep facet counts in line with the search form while it is edited
+    document.querySelector(this.selectors.search).addEventListener('search-change', (event) => {
+      event.currentTarget.facets = this.facetCounts(event.detail.filters);
+    });
+
+    // Sort selector above the list
+    document.querySelector(this.selectors.listSort).addEventListener('change', (event) => {
+      this.setSort(event.target.value);
+      this.updateUrl(true);
+    });
+
+    // View selector above the list
+    document.querySelector(this.selectors.listView).addEventListener('change', (event) => {
+      this.setView(event.target.value);
+      this.updateUrl(true);
+    });
+
+    // Export the books currently listed, named after the view
+    document.querySelector(this.selectors.listExport).addEventListener('click', (event) => {
+      const button = event.target.closest('[data-format]');
+      if (!button) return;
+
+      const view = document.querySelector(this.selectors.listView);
+      const name = view.selectedOptions[0] ? view.selectedOptions[0].textContent : 'books';
+      this.exportBooks(this.state.matches, button.dataset.format, name);
+    });
+
+    // Star toggles on previews and in the details overlay
+    document.addEventListener('favourite-toggle', (event) => {
+      this.toggleFavourite(event.detail.bookId);
+    });
+
+    // Pagination (emitted by the <book-pagination> component)
+    document.querySelector(this.selectors.listPagination).addEventListener('page-change', (event) => {
+      const { page, action } = event.detail;
+      this.changePage(page, action);
+    });
+
+    // Browser back/forward moves between searches
+    window.addEventListener('popstate', () => {
+      if (window.location.search !== this.serializeState()) {
+        this.restoreFromUrl();
+      }
+    });
+
+    // Hash routes open and close book details
+    window.addEventListener('hashchange', () => {
+      if (!this.parseRoute(window.location.hash)) {
+        this.state.routePushed = false;
+      }
+      this.handleRoute();
+    });
+
+    // Keep only the visible previews mounted while scrolling large lists
+    window.addEventListener('scroll', () => this.scheduleVirtualUpdate(), { passive: true });
+    window.addEventListener('resize', () => this.scheduleVirtualUpdate());
+
+    // Keyboard navigation between previews
+    document.querySelector(this.selectors.listItems).addEventListener('keydown', (event) => {
+      this.handleListKeydown(event);
     });
 
     // Book preview click event (using event delegation with custom events)
     document.querySelector(this.selectors.listItems).addEventListener('preview-click', (event) => {
       const bookId = event.detail.bookId;
-      const book = this.findBookById(bookId);
-      if (book) {
-        this.showBookDetails(book);
+      if (this.findBookById(bookId)) {
+        this.openBook(bookId);
       }
     });
   }